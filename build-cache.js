@@ -0,0 +1,128 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import crypto from "crypto";
+import { promises as fsp } from "fs";
+
+
+// Properties
+const CACHE_VERSION = 2;  // Increment whenever format of cached entries changes
+const MISSING_FILE_HASH = "missing";
+
+
+// Methods
+export function hashContent(content) {
+    return crypto.createHash("sha256").update(content).digest("hex");
+}
+export function hashConfigs(configs, skipKeys = []) {
+
+    // Functions are hashed by their source so editing a hook invalidates the cache
+    const toHash = Object.fromEntries(Object.entries(configs ?? {}).filter(([key]) => !skipKeys.includes(key)));
+    const serialized = JSON.stringify(toHash, (key, value) => typeof value === "function" ? value.toString() : value);
+    return hashContent(serialized ?? "");
+}
+export function toCachedValue(value) {  // Value as read back from cache, e.g. without undefined properties & with dates as strings
+    return JSON.parse(JSON.stringify(value));
+}
+export function getCacheRoot(appName) {
+    const cacheRoot = process.env.XDG_CACHE_HOME || path.join(os.homedir(), ".cache");
+    return path.join(cacheRoot, appName);
+}
+export function getDefaultCacheDir(appName, inputPath) {
+    return path.join(getCacheRoot(appName), hashContent(path.resolve(inputPath)).slice(0, 16));
+}
+
+
+// Classes
+export class BuildCache {
+
+    // Private Properties
+    #cacheDir = "";
+    #fileHashes = new Map();  // Format { "path/to/file" : Promise("hash"), ... }, Only valid for a single build
+
+
+    // Constructors
+    constructor(cacheDir) {
+        this.#cacheDir = path.resolve(cacheDir);
+    }
+
+
+    // Private Methods
+    #getEntryPath(entryName) {
+        return path.join(this.#cacheDir, `${hashContent(entryName)}.json`);
+    }
+
+
+    // Getter Methods
+    getCacheDir() {
+        return this.#cacheDir;
+    }
+
+
+    // Public Methods
+    async hashFile(filePath) {
+        filePath = path.resolve(filePath);
+        if (!this.#fileHashes.has(filePath)) {
+            const hashPromise = fsp.readFile(filePath).then(hashContent, () => MISSING_FILE_HASH);
+            this.#fileHashes.set(filePath, hashPromise);
+        }
+
+        return await this.#fileHashes.get(filePath);
+    }
+    getKey(content, extras = []) {
+        return hashContent(JSON.stringify([CACHE_VERSION, hashContent(content), extras]));
+    }
+    async get(entryName, key) {
+        const entryPath = this.#getEntryPath(entryName);
+        if (!fs.existsSync(entryPath)) {
+            return undefined;
+        }
+
+
+        // Read entry, Treat unreadable entries as missing
+        let entry = undefined;
+        try {
+            entry = JSON.parse(await fsp.readFile(entryPath, "utf8"));
+        }
+        catch (err) {
+            return undefined;
+        }
+
+
+        // Check if outdated, i.e. key or any dependency changed
+        if (entry?.key !== key) {
+            return undefined;
+        }
+        for (const [dependencyPath, hash] of Object.entries(entry.dependencies ?? {})) {
+            if (await this.hashFile(dependencyPath) !== hash) {
+                return undefined;
+            }
+        }
+
+
+        return entry.value;
+    }
+    async peek(entryName) {  // Value even if outdated, e.g. as a best guess before recreating
+        try {
+            return JSON.parse(await fsp.readFile(this.#getEntryPath(entryName), "utf8"))?.value;
+        }
+        catch (err) {
+            return undefined;
+        }
+    }
+    async set(entryName, key, value, dependencyPaths = []) {
+
+        // Store hashes of dependencies at time of creation
+        const dependencies = {};
+        for (const dependencyPath of [...dependencyPaths].sort()) {
+            dependencies[path.resolve(dependencyPath)] = await this.hashFile(dependencyPath);
+        }
+
+
+        await fsp.mkdir(this.#cacheDir, { recursive: true });
+        await fsp.writeFile(this.#getEntryPath(entryName), JSON.stringify({ key, dependencies, value }));
+    }
+    clearFileHashes() {
+        this.#fileHashes.clear();
+    }
+}
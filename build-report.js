@@ -0,0 +1,80 @@
+import path from "path";
+
+
+// Enums
+export const FileStatus = Object.freeze({
+    CREATED: "created",
+    CACHED: "cached",
+    COPIED: "copied",
+    DELETED: "deleted",
+    SKIPPED: "skipped",
+    FAILED: "failed"
+});
+export const FileType = Object.freeze({
+    PAGE: "page",
+    FILE: "file",
+    DIRECTORY: "directory"
+});
+
+
+// Methods
+export function createBuildReport(inputPath, outputPath, isSoftReload) {
+    return {
+        inputPath: inputPath,
+        outputPath: outputPath,
+        isSoftReload: isSoftReload,
+        startedAt: new Date().toISOString(),
+        durationMs: 0,
+        files: [],  // Format [{ inputPath, outputPath, type, status, durationMs, error? }, ...]
+        totals: Object.fromEntries([["files", 0], ...Object.values(FileStatus).map(status => [status, 0])])
+    };
+}
+export function finishBuildReport(report, startTime) {
+    report.durationMs = Math.round(performance.now() - startTime);
+    report.files.sort((a, b) => a.inputPath.localeCompare(b.inputPath));
+    report.totals.files = report.files.length;
+    Object.values(FileStatus).forEach(status => {
+        report.totals[status] = report.files.filter(file => file.status === status).length;
+    });
+
+    return report;
+}
+export function formatError(error) {
+    const location = error?.line !== undefined ? `:${error.line}:${error.column ?? 1}` : "";
+    return `${error?.file ?? ""}${location} ${error?.message ?? ""}`.trim();
+}
+export function formatBrokenLink(brokenLink) {
+    const location = brokenLink.line !== undefined ? `:${brokenLink.line}` : "";
+    return `${brokenLink.file}${location} ${brokenLink.url} (${brokenLink.reason})`;
+}
+export function formatBuildReport(report) {
+
+    // Rows of status, duration & paths relative to input/output
+    const rows = report.files.map(file => [
+        file.status,
+        `${file.durationMs}ms`,
+        path.relative(report.inputPath, file.inputPath),
+        file.outputPath !== "" ? path.relative(report.outputPath, file.outputPath) : ""
+    ]);
+    const header = ["Status", "Duration", "Input", "Output"];
+
+
+    // Pad columns to widest value
+    const widths = header.map((title, i) => Math.max(title.length, ...rows.map(row => row[i].length)));
+    const formatRow = (row) => row.map((value, i) => value.padEnd(widths[i])).join("  ").trimEnd();
+    const lines = [formatRow(header), formatRow(widths.map(width => "-".repeat(width))), ...rows.map(formatRow)];
+
+
+    // Add errors & totals
+    report.files.filter(file => file.error !== undefined).forEach(file => {
+        lines.push("", `Error in ${formatError(file.error)}`);
+    });
+    if (report.brokenLinks?.length > 0) {
+        lines.push("", ...report.brokenLinks.map(brokenLink => `Broken link in ${formatBrokenLink(brokenLink)}`));
+    }
+    const totals = Object.entries(report.totals).map(([key, value]) => `${value} ${key}`).join(", ");
+    lines.push("", `Total: ${totals} in ${report.durationMs}ms`);
+
+
+    return lines.join("\n");
+}
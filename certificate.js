@@ -0,0 +1,71 @@
+import fs from "fs";
+import net from "net";
+import path from "path";
+import { promises as fsp } from "fs";
+import { generate } from "selfsigned";
+
+
+// Properties
+const SELF_SIGNED_FILE_NAME = "self-signed.json";
+const VALIDITY_DAYS = 365;
+const RENEW_BEFORE_DAYS = 7;
+const DEFAULT_NAMES = ["localhost", "127.0.0.1", "::1"];
+
+
+// Methods
+async function readPem(value) {  // Value can be pem content itself or path to a pem file
+    const text = String(value ?? "");
+    return text.includes("-----BEGIN") ? text : await fsp.readFile(path.resolve(text), "utf8");
+}
+export async function readCertificate(httpsConfig) {  // Returns { key, cert } from configs
+    if (!httpsConfig?.key || !httpsConfig?.cert) {
+        throw new Error(`Both "key" & "cert" are required in https configs`);
+    }
+
+    return { key: await readPem(httpsConfig.key), cert: await readPem(httpsConfig.cert) };
+}
+export async function getSelfSignedCertificate(certDir, names = []) {  // Returns { key, cert }, Reused until it expires or names change
+    names = [...new Set([...DEFAULT_NAMES, ...names])].sort();
+
+
+    // Reuse previously generated certificate if still valid for same names
+    const certPath = path.join(certDir, SELF_SIGNED_FILE_NAME);
+    if (fs.existsSync(certPath)) {
+        try {
+            const saved = JSON.parse(await fsp.readFile(certPath, "utf8"));
+            const isExpiring = new Date(saved.expiresAt).getTime() - Date.now() < RENEW_BEFORE_DAYS * 24 * 60 * 60 * 1000;
+            if (!isExpiring && JSON.stringify(saved.names) === JSON.stringify(names)) {
+                return { key: saved.key, cert: saved.cert };
+            }
+        }
+        catch (err) {
+            // Regenerate if unreadable
+        }
+    }
+
+
+    // Generate new certificate, IP addresses & host names are added as alternative names
+    const notBeforeDate = new Date();
+    const notAfterDate = new Date(notBeforeDate.getTime() + VALIDITY_DAYS * 24 * 60 * 60 * 1000);
+    const altNames = names.map(name => net.isIP(name) ? { type: 7, ip: name } : { type: 2, value: name });
+    const pems = await generate([{ name: "commonName", value: "localhost" }], {
+        keyType: "ec",
+        algorithm: "sha256",
+        notBeforeDate,
+        notAfterDate,
+        extensions: [
+            { name: "basicConstraints", cA: false },
+            { name: "keyUsage", digitalSignature: true, keyEncipherment: true },
+            { name: "extKeyUsage", serverAuth: true },
+            { name: "subjectAltName", altNames }
+        ]
+    });
+
+
+    // Save for next time
+    await fsp.mkdir(certDir, { recursive: true });
+    await fsp.writeFile(certPath, JSON.stringify({ names, expiresAt: notAfterDate.toISOString(), key: pems.private, cert: pems.cert }), { mode: 0o600 });
+
+
+    return { key: pems.private, cert: pems.cert };
+}
@@ -1,39 +1,64 @@
 #!/usr/bin/env node
 
 import path from "path";
+import { promises as fsp } from "fs";
 import * as readline from "readline";
-import { HostMdx, createSite, TrackChanges, setupConfigs, log } from "./index.js";
+import { HostMdx, createSite, serveSite, TrackChanges, setupConfigs, log } from "./index.js";
+import { formatBuildReport } from "./build-report.js";
 
 
 // Flags
+const CHECK_LINKS_FLAG = "--check-links";
 const CONCURRENCY_FLAG = "--concurrency"
 const CREATE_FLAG = "--create-only";
 const CREATE_SHORT_FLAG = "-c";
 const HELP_FLAG = "--help";
 const HELP_SHORT_FLAG = "-h";
+const HOST_FLAG = "--host";
+const HTTPS_FLAG = "--https";
+const INCLUDE_DRAFTS_FLAG = "--include-drafts";
 const INPUT_PATH_FLAG = "--input-path";
+const NO_CACHE_FLAG = "--no-cache";
 const OUTPUT_PATH_FLAG = "--output-path";
 const PORT_FLAG = "--port";
+const PREVIEW_FLAG = "--preview";
+const REPORT_FLAG = "--report";
 const TRACK_CHANGES_FLAG = "--track-changes";
 const TRACK_CHANGES_SHORT_FLAG = "-t";
 const VERBOSE_FLAG = "--verbose";
 const VERBOSE_SHORT_FLAG = "-v";
+const WORKERS_FLAG = "--workers";
+
+
+// Commands
+const SERVE_COMMAND = "serve";
 
 
 // Properties
 const SOFT_RELOAD_ARG = "soft"
 const HARD_RELOAD_ARG = "hard"
+const JSON_REPORT_ARG = "json"
+const REPORT_FILE_NAME = "host-mdx-report.json"
 const HELP_MESSAGE = `Usage: host-mdx [options]
+       host-mdx ${SERVE_COMMAND} <dir> [options]  Serves an already created site as it would be deployed, without recreating it (${HOST_FLAG}, ${HTTPS_FLAG} & ${PORT_FLAG} only)
 
 Options:
+${CHECK_LINKS_FLAG}             Checks created pages for broken local links, missing assets & anchors after each build, ${CREATE_FLAG} exits with error code if any are found
 ${CONCURRENCY_FLAG}=<num>       Limit number of files to concurrently process (Optional, default: 1)
 ${CREATE_FLAG}, ${CREATE_SHORT_FLAG}         Only creates the html website from mdx does not host
 ${HELP_FLAG}, ${HELP_SHORT_FLAG}                Shows all available options
+${HOST_FLAG}=<host>             Host to bind server to e.g. localhost (Optional, default: all network interfaces)
+${HTTPS_FLAG}                   Hosts over https, using a locally generated self signed certificate unless one is given in configs
+${INCLUDE_DRAFTS_FLAG}          Creates pages marked as draft or with a future date, ${CREATE_FLAG} & ${PREVIEW_FLAG} only since hosting always shows them
 ${INPUT_PATH_FLAG}=<path>       The path at which all mdx files are stored
+${NO_CACHE_FLAG}                Recreates every page instead of reusing unchanged pages from build cache
 ${OUTPUT_PATH_FLAG}=<path>      The path to which all html files will be generated
 ${PORT_FLAG}=<num>              Localhost port number on which to host 
+${PREVIEW_FLAG}                 Creates site once & serves it as it would be deployed i.e. compressed & cached, without live reload or tracking changes
+${REPORT_FLAG}=${JSON_REPORT_ARG}            Writes build report to ${REPORT_FILE_NAME} in current directory, ${CREATE_FLAG} only
 ${TRACK_CHANGES_FLAG}, ${TRACK_CHANGES_SHORT_FLAG}       Tracks any changes & auto reloads, ${TRACK_CHANGES_SHORT_FLAG}=${HARD_RELOAD_ARG} for hard reload
 ${VERBOSE_FLAG}, ${VERBOSE_SHORT_FLAG}             Shows additional log messages
+${WORKERS_FLAG}=<num>           Number of worker threads to render mdx on (Optional, default: 1 i.e. main thread only)
 `;
 
 
@@ -50,11 +75,19 @@ function getOutputPathFromArgs(rawArgs) {
     outputPath = outputPathProvided ? outputPath.split('=')?.[1] : "";
     return outputPath !== "" ? path.resolve(outputPath) : outputPath;  // To ensure input path is absolute
 }
+function getHostFromArgs(rawArgs) {
+    let host = rawArgs.find(val => val.startsWith(`${HOST_FLAG}=`));
+    return host?.split('=')?.[1];
+}
 function getPortFromArgs(rawArgs) {
     let port = rawArgs.find(val => val.startsWith(PORT_FLAG));
     let portProvided = port !== undefined;
     return portProvided ? Number(port.split('=')[1]) : undefined;
 }
+function getReportFromArgs(rawArgs) {
+    let report = rawArgs.find(val => val.startsWith(`${REPORT_FLAG}=`));
+    return report?.split('=')?.[1];
+}
 function getTrackChangesFromArgs(rawArgs) {
 
     // If flag not passed do not track changes
@@ -88,6 +121,12 @@ function getConcurrencyFromArgs(rawArgs) {
     const val = concurrencyProvided ? Number(concurrency.split('=')[1]) : undefined;
     return Number.isInteger(val) && val >= 1 ? val : undefined;
 }
+function getWorkersFromArgs(rawArgs) {
+    let workers = rawArgs.find(val => val.startsWith(WORKERS_FLAG));
+    let workersProvided = workers !== undefined;
+    const val = workersProvided ? Number(workers.split('=')[1]) : undefined;
+    return Number.isInteger(val) && val >= 1 ? val : undefined;
+}
 function listenForKey(reloadCallback, hardReloadCallback, exitCallback) {
     readline.emitKeypressEvents(process.stdin);
     process.stdin.setRawMode(true);
@@ -119,6 +158,29 @@ export async function main() {
     }
 
 
+    // Serve command check, Serve already created site & return
+    if (rawArgs[0] === SERVE_COMMAND) {
+        let serveDir = rawArgs[1];
+        if (serveDir === undefined || serveDir.startsWith("-")) {
+            log(`Directory to serve is required i.e. host-mdx ${SERVE_COMMAND} <dir>`);
+            process.exitCode = 1;
+            return;
+        }
+
+        let configs = {
+            ...(getPortFromArgs(rawArgs) !== undefined && { port: getPortFromArgs(rawArgs) }),
+            ...(getHostFromArgs(rawArgs) !== undefined && { host: getHostFromArgs(rawArgs) }),
+            ...(rawArgs.includes(HTTPS_FLAG) && { https: true }),
+        }
+        let app = await serveSite(serveDir, configs);
+        if (app === null) {
+            process.exitCode = 1;
+        }
+
+        return;
+    }
+
+
     // Assign input path
     let inputPath = getInputPathFromArgs(rawArgs);
 
@@ -135,12 +197,52 @@ export async function main() {
     let concurrency = getConcurrencyFromArgs(rawArgs);
 
 
+    // Assign workers
+    let workers = getWorkersFromArgs(rawArgs);
+
+
+    // Assign to use build cache
+    let toUseCache = !rawArgs.includes(NO_CACHE_FLAG);
+
+
+    // Assign to include drafts
+    let toIncludeDrafts = rawArgs.includes(INCLUDE_DRAFTS_FLAG);
+
+
+    // Assign to check links
+    let toCheckLinks = rawArgs.includes(CHECK_LINKS_FLAG);
+
+
+    // Assign report format
+    let reportFormat = getReportFromArgs(rawArgs);
+    if (reportFormat !== undefined && reportFormat !== JSON_REPORT_ARG) {
+        log(`Invalid report format "${reportFormat}", Only ${REPORT_FLAG}=${JSON_REPORT_ARG} is supported`);
+        process.exitCode = 1;
+        return;
+    }
+
+
     // Assign to create only, Return if passed
     let toCreateOnly = rawArgs.includes(CREATE_FLAG) || rawArgs.includes(CREATE_SHORT_FLAG);
     if (toCreateOnly) {
         try {
             let configs = await setupConfigs(inputPath);
-            await createSite(inputPath, outputPath, null, undefined, { ...configs, toBeVerbose });
+            let report = await createSite(inputPath, outputPath, null, undefined, { ...configs, toBeVerbose, ...(!toUseCache && { cache: false }), ...(workers !== undefined && { workers }), ...(toIncludeDrafts && { includeDrafts: true }), ...(toCheckLinks && { checkLinks: true }) });
+            console.log(`\n${formatBuildReport(report)}\n`);
+
+
+            // Write report for CI
+            if (reportFormat === JSON_REPORT_ARG) {
+                let reportPath = path.resolve(REPORT_FILE_NAME);
+                await fsp.writeFile(reportPath, JSON.stringify(report, null, 2));
+                log(`Build report written to ${reportPath}`);
+            }
+
+
+            // Exit with error code if any file failed or link is broken
+            if (report.totals.failed !== 0 || report.brokenLinks?.length > 0) {
+                process.exitCode = 1;
+            }
         }
         catch (err) {
             process.exitCode = 1;  // Exit with error code if not created successfully
@@ -155,16 +257,35 @@ export async function main() {
     let port = getPortFromArgs(rawArgs);
 
 
+    // Assign host
+    let host = getHostFromArgs(rawArgs);
+
+
+    // Assign https
+    let toUseHttps = rawArgs.includes(HTTPS_FLAG);
+
+
     // Assign tracking changes
     let trackChanges = getTrackChangesFromArgs(rawArgs);
 
 
+    // Assign preview
+    let toPreview = rawArgs.includes(PREVIEW_FLAG);
+
+
     // Start hosting
     let configs = {
         ...(port !== undefined && { port }),
+        ...(host !== undefined && { host }),
+        ...(toUseHttps && { https: true }),
         ...(concurrency !== undefined && { concurrency }),
+        ...(workers !== undefined && { workers }),
         ...(trackChanges !== undefined && { trackChanges }),
         ...(toBeVerbose && { toBeVerbose }),
+        ...(!toUseCache && { cache: false }),
+        ...(toIncludeDrafts && { includeDrafts: true }),
+        ...(toCheckLinks && { checkLinks: true }),
+        ...(toPreview && { preview: true }),
     }
     let hostMdx = new HostMdx(inputPath, outputPath, configs);
     let hasHostingStarted = await hostMdx.start();
@@ -175,12 +296,21 @@ export async function main() {
 
     // Assign cleanup function
     const cleanup = async () => {
-        process.stdin.setRawMode(false);
+        process.stdin.setRawMode?.(false);
         await hostMdx.stop();
         process.exit(0);  // Without this 'Ctrl + c' does not work DO NOT REMOVE
     }
 
 
+    // Only watch for quit in preview, since reloading is not served
+    if (toPreview) {
+        process.on("SIGINT", cleanup);
+        process.on("SIGTERM", cleanup);
+        log(`(Press 'Ctrl+c' to exit)`);
+        return;
+    }
+
+
     // Watch for key press
     listenForKey(
         async () => {
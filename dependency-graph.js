@@ -1,13 +1,15 @@
 import fs from "fs";
 import path from "path";
+import crypto from "crypto";
 import resolve from 'resolve';
 import precinct from 'precinct';
-import * as mdx from '@mdx-js/mdx';
+import { promises as fsp } from "fs";
 
 
 // Properties
 const DEPENDENTS_KEY = "dependents";
 const DEPENDENCIES_KEY = "dependencies";
+const GRAPH_VERSION = 1;  // Increment whenever format of saved graph changes
 
 
 // Methods
@@ -67,6 +69,15 @@ export function ensureRelativePath(rootPath, filePath) {
     const absoluteRoot = path.resolve(rootPath);
     return path.relative(absoluteRoot, absoluteTarget);
 }
+export async function getFileStamp(filePath, toHash = true) {
+    if (!fs.existsSync(filePath)) {
+        return null;
+    }
+
+    const stat = await fsp.stat(filePath);
+    const hash = toHash && stat.isFile() ? crypto.createHash("sha256").update(await fsp.readFile(filePath)).digest("hex") : "";
+    return { mtimeMs: stat.mtimeMs, size: stat.size, hash };
+}
 export async function calcDependencies(filePath, aliases = {}) {
 
     // Return if given path is in node_modules
@@ -76,17 +87,12 @@ export async function calcDependencies(filePath, aliases = {}) {
     }
 
 
-    // Compile mdx if passed
-    let foundImports = [];
+    // Skip mdx since compiling it is slow, its dependencies are instead set from bundler through `setDependencies`
+    // So until a page is built only dependencies restored from a saved graph (& extra ones e.g. layouts) are known for it
     if (absolutePath.endsWith('.mdx')) {
-        let content = fs.readFileSync(absolutePath, 'utf8');
-        const compiled = await mdx.compile(content);
-        content = String(compiled?.value ?? "");
-        foundImports = precinct(content);
-    }
-    else {
-        foundImports = precinct.paperwork(absolutePath);
+        return new Set();
     }
+    let foundImports = precinct.paperwork(absolutePath);
 
 
     // Get & iterate through all imports
@@ -134,35 +140,15 @@ export class DependencyGraph {
 
     // Private Properties
     #graph = {};  // Format { "path/to/file" : { dependents: Set(...), dependencies : Set(...) }, ... }
+    #stamps = {};  // Format { "path/to/file" : { mtimeMs, size, hash }, ... }, State of file when its dependencies were found
     #aliases = {};  // Format { '@' : "path/to/dir" }
     #rootFolder = "";
     #ignoreCheck = async (checkPath) => false;
+    #getExtraDependencies = async (filePath) => [];  // For dependencies not found through imports e.g. layouts, Expected to handle its own errors
 
 
-    // Public Methods
-    getGraph() {
-        return structuredClone(this.#graph);
-    }
-    async createGraph(newRootFolder, newIgnoreCheck = async (checkPath) => false) {
-        this.#graph = {};
-        this.#rootFolder = path.resolve(newRootFolder);
-        this.#ignoreCheck = newIgnoreCheck;
-
-
-        // Get all files inside directory
-        const allFiles = await crawlDir(this.#rootFolder, this.#ignoreCheck);
-
-
-        // Assign all dependencies
-        for (const file of allFiles) {
-            await this.addEntry(file);
-        }
-    }
-    async addEntry(filePath) {
-
-        // Get relative path
-        let relFilePath = ensureRelativePath(this.#rootFolder, filePath);
-
+    // Private Methods
+    async #setEntry(relFilePath, dependencies, stamp) {
 
         // If did not exist previously create fresh
         if (this.#graph?.[relFilePath] === undefined) {
@@ -183,23 +169,20 @@ export class DependencyGraph {
         // Intentionally not removing dependents since no way of knowing which files depend on `relFilePath` DO NOT CHANGE
 
 
-        // Get all dependencies
-        const relDependencies = new Set();
+        // Add extra dependencies
         const absFilePath = path.resolve(this.#rootFolder, relFilePath);
-        let dependencies;
-        try {
-            dependencies = await calcDependencies(absFilePath, this.#aliases);
-        }
-        catch (err) {
-            dependencies = new Set();
-        }
+        dependencies = new Set([...dependencies].map(p => path.resolve(p)));
+        (await this.#getExtraDependencies(absFilePath)).forEach(p => dependencies.add(path.resolve(p)));
+
+
+        // Add dependencies, Skipping itself
+        const relDependencies = new Set();
         dependencies.forEach(p => {
             relDependencies.add(path.relative(this.#rootFolder, p));
         });
-
-
-        // Add dependencies
+        relDependencies.delete(relFilePath);
         this.#graph[relFilePath][DEPENDENCIES_KEY] = relDependencies;
+        this.#stamps[relFilePath] = stamp;
 
 
         // Add to dependents
@@ -212,6 +195,126 @@ export class DependencyGraph {
             this.#graph[dep][DEPENDENTS_KEY].add(relFilePath);
         });
     }
+
+
+    // Public Methods
+    getGraph() {
+        return structuredClone(this.#graph);
+    }
+    toJSON() {
+        const files = {};
+        for (const [relFilePath, entry] of Object.entries(this.#graph)) {
+            files[relFilePath] = { [DEPENDENCIES_KEY]: [...entry[DEPENDENCIES_KEY]], stamp: this.#stamps[relFilePath] ?? null };
+        }
+
+        return { version: GRAPH_VERSION, rootFolder: this.#rootFolder, aliases: this.#aliases, files };
+    }
+    async saveGraph(graphFilePath) {
+        await fsp.mkdir(path.dirname(graphFilePath), { recursive: true });
+        await fsp.writeFile(graphFilePath, JSON.stringify(this.toJSON()));
+    }
+    async loadGraph(graphFilePath, newRootFolder, newIgnoreCheck = async (checkPath) => false) {  // Returns number of files analysed again, Throws if saved graph cannot be read
+
+        // Read saved graph
+        let saved = undefined;
+        if (fs.existsSync(graphFilePath)) {
+            saved = JSON.parse(await fsp.readFile(graphFilePath, "utf8"));
+        }
+
+
+        // Create fresh if saved graph is missing or was made for another folder or aliases
+        const rootFolder = path.resolve(newRootFolder);
+        const isUsable = saved?.version === GRAPH_VERSION && saved?.rootFolder === rootFolder && JSON.stringify(saved?.aliases ?? {}) === JSON.stringify(this.#aliases);
+        if (!isUsable) {
+            await this.createGraph(rootFolder, newIgnoreCheck);
+            return Object.keys(this.#graph).length;
+        }
+        this.#graph = {};
+        this.#stamps = {};
+        this.#rootFolder = rootFolder;
+        this.#ignoreCheck = newIgnoreCheck;
+
+
+        // Restore unchanged files, Analyse the rest again
+        let analysedCount = 0;
+        const allFiles = await crawlDir(this.#rootFolder, this.#ignoreCheck);
+        for (const file of allFiles) {
+            const relFilePath = ensureRelativePath(this.#rootFolder, file);
+            const savedEntry = saved.files?.[relFilePath];
+            const savedStamp = savedEntry?.stamp;
+            let stamp = await getFileStamp(file, false);
+
+
+            // Check if unchanged, Only hashing if modified time differs
+            let isUnchanged = savedStamp && savedStamp.mtimeMs === stamp?.mtimeMs && savedStamp.size === stamp?.size;
+            if (!isUnchanged && savedStamp && savedStamp.size === stamp?.size) {
+                stamp = await getFileStamp(file);
+                isUnchanged = savedStamp.hash === stamp?.hash;
+            }
+
+
+            const savedDependencies = (savedEntry?.[DEPENDENCIES_KEY] ?? []).map(dep => path.resolve(this.#rootFolder, dep));
+            if (isUnchanged) {
+                await this.#setEntry(relFilePath, savedDependencies, { ...savedStamp, mtimeMs: stamp.mtimeMs });
+                continue;
+            }
+
+
+            // Changed mdx keep their saved dependencies until bundler sets them again, same as `addEntry()`
+            if (file.endsWith('.mdx')) {
+                await this.#setEntry(relFilePath, savedDependencies, await getFileStamp(file));
+            }
+            else {
+                await this.addEntry(file);
+            }
+            analysedCount++;
+        }
+
+
+        return analysedCount;
+    }
+    async createGraph(newRootFolder, newIgnoreCheck = async (checkPath) => false) {
+        this.#graph = {};
+        this.#stamps = {};
+        this.#rootFolder = path.resolve(newRootFolder);
+        this.#ignoreCheck = newIgnoreCheck;
+
+
+        // Get all files inside directory
+        const allFiles = await crawlDir(this.#rootFolder, this.#ignoreCheck);
+
+
+        // Assign all dependencies
+        for (const file of allFiles) {
+            await this.addEntry(file);
+        }
+    }
+    async addEntry(filePath) {
+
+        // Get all dependencies
+        const absFilePath = path.resolve(this.#rootFolder, filePath);
+        let dependencies;
+        try {
+            dependencies = await calcDependencies(absFilePath, this.#aliases);
+        }
+        catch (err) {
+            dependencies = new Set();
+        }
+
+
+        // Keep previous dependencies of mdx until bundler sets them again
+        if (absFilePath.endsWith('.mdx')) {
+            this.getDependencies(absFilePath).forEach(dep => dependencies.add(dep));
+        }
+
+
+        await this.setDependencies(absFilePath, dependencies);
+    }
+    async setDependencies(filePath, dependencies) {  // Also used for dependencies found while bundling
+        let relFilePath = ensureRelativePath(this.#rootFolder, filePath);
+        let stamp = await getFileStamp(path.resolve(this.#rootFolder, relFilePath));
+        await this.#setEntry(relFilePath, dependencies, stamp);
+    }
     removeEntry(filePath) {
 
         // Get relative path
@@ -240,6 +343,7 @@ export class DependencyGraph {
 
         // Remove entry
         delete this.#graph[relFilePath];
+        delete this.#stamps[relFilePath];
     }
     hasEntry(filePath) {
         let relFilePath = ensureRelativePath(this.#rootFolder, filePath);
@@ -343,4 +447,7 @@ export class DependencyGraph {
     setAlias(newAliases) {
         this.#aliases = newAliases;
     }
+    setExtraDependencies(newGetExtraDependencies) {
+        this.#getExtraDependencies = newGetExtraDependencies;
+    }
 }
\ No newline at end of file
@@ -0,0 +1,29 @@
+import { escapeHtml, injectIntoBody } from "./html.js";
+
+
+// Properties
+const DRAFT_BANNER_ID = "hostmdx-draft-banner";
+
+
+// Methods
+export function getPublishDate(frontmatter) {  // `date` from frontmatter, undefined if missing or invalid
+    const value = frontmatter?.date;
+    const date = value instanceof Date ? value : new Date(value);
+    return value !== undefined && value !== null && !isNaN(date) ? date : undefined;
+}
+export function isScheduled(frontmatter, now = new Date()) {  // i.e. publish date is in the future
+    return (getPublishDate(frontmatter)?.getTime() ?? -Infinity) > now.getTime();
+}
+export function isDraft(frontmatter, now = new Date()) {  // Marked as draft or scheduled for later
+    return frontmatter?.draft === true || isScheduled(frontmatter, now);
+}
+export function createDraftBanner(frontmatter, now = new Date()) {
+    const message = frontmatter?.draft === true
+        ? "Draft: This page is not published & is left out of builds unless drafts are included"
+        : `Scheduled: This page is published on ${getPublishDate(frontmatter).toUTCString()} & is left out of builds until then unless drafts are included`;
+
+    return `<div id="${DRAFT_BANNER_ID}" style="position:sticky;top:0;z-index:2147483646;padding:8px 16px;background:#ffcc00;color:#000;font:bold 14px/1.5 sans-serif;text-align:center;">${escapeHtml(message)}</div>`;
+}
+export function injectDraftBanner(htmlCode, frontmatter, now = new Date()) {  // Inserted just after opening body tag if present, otherwise prepended
+    return injectIntoBody(htmlCode, createDraftBanner(frontmatter, now), true);
+}
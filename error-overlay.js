@@ -0,0 +1,49 @@
+import { escapeHtml, injectIntoBody } from "./html.js";
+
+
+// Properties
+const CODE_FRAME_CONTEXT_LINES = 2;
+const ERROR_PAGE_HTML = `<!DOCTYPE html><html><head><meta charset="utf-8"><title>Build failed</title></head><body></body></html>`;
+
+
+// Methods
+export function createCodeFrame(source, line, column, contextLines = CODE_FRAME_CONTEXT_LINES) {  // line & column start from 1
+    const lines = String(source ?? "").split(/\r?\n/);
+    if (!Number.isInteger(line) || line < 1 || lines.length < line) {
+        return "";
+    }
+
+
+    // Show few lines around failing line, marking it & its column
+    const start = Math.max(1, line - contextLines);
+    const end = Math.min(lines.length, line + contextLines);
+    const numberWidth = String(end).length;
+    const frame = [];
+    for (let i = start; i <= end; i++) {
+        const gutter = `${i === line ? ">" : " "} ${String(i).padStart(numberWidth)} |`;
+        frame.push(`${gutter} ${lines[i - 1]}`.trimEnd());
+        if (i === line && Number.isInteger(column) && 0 < column) {
+            frame.push(`  ${" ".repeat(numberWidth)} | ${" ".repeat(column - 1)}^`);
+        }
+    }
+
+
+    return frame.join("\n");
+}
+export function createErrorOverlay(error) {
+    const location = error?.line !== undefined ? `:${error.line}:${error.column ?? 1}` : "";
+    const codeFrame = error?.codeFrame ? `<pre style="margin:16px 0 0;padding:12px;background:#1e1e1e;color:#e0e0e0;overflow:auto;">${escapeHtml(error.codeFrame)}</pre>` : "";
+
+    return `<div id="hostmdx-error-overlay" style="position:fixed;inset:0;z-index:2147483647;overflow:auto;padding:32px;background:rgba(0,0,0,0.85);color:#fff;font:14px/1.5 monospace;">`
+        + `<div style="max-width:960px;margin:0 auto;">`
+        + `<div style="color:#ff5555;font-size:18px;font-weight:bold;">Failed to build page</div>`
+        + `<div style="margin-top:8px;color:#aaa;">${escapeHtml(`${error?.file ?? ""}${location}`)}</div>`
+        + `<pre style="margin:16px 0 0;white-space:pre-wrap;color:#ffb86c;">${escapeHtml(error?.message ?? "")}</pre>`
+        + codeFrame
+        + `<div style="margin-top:16px;color:#aaa;">Fix the error & save, This overlay clears once the page builds again</div>`
+        + `</div></div>`;
+}
+export function injectErrorOverlay(htmlCode, error) {
+    htmlCode = htmlCode === undefined || htmlCode === null ? ERROR_PAGE_HTML : htmlCode;
+    return injectIntoBody(htmlCode, createErrorOverlay(error));
+}
@@ -0,0 +1,140 @@
+import path from "path";
+import ignore from "ignore";
+import { promises as fsp } from "fs";
+import { escapeXml, getBaseUrl } from "./sitemap.js";
+
+
+// Properties
+const DEFAULT_COLLECTION = {
+    match: "",
+    title: "",
+    description: "",
+    link: "/",
+    author: "",
+    rss: undefined,  // Defaults to "<collection name>/rss.xml"
+    atom: false,
+    includeHtml: false,
+    limit: Infinity
+};
+
+
+// Methods
+function toCData(text) {
+    return `<![CDATA[${String(text).replaceAll("]]>", "]]]]><![CDATA[>")}]]>`;
+}
+function toDate(value) {
+    const date = value instanceof Date ? value : new Date(value);
+    return value !== undefined && value !== null && !isNaN(date) ? date : undefined;
+}
+function getPageValue(page, key) {
+    return page.exports?.[key] ?? page.frontmatter?.[key];
+}
+export function getCollection(name, collection) {
+    return { ...DEFAULT_COLLECTION, rss: `${name}/rss.xml`, ...collection };
+}
+export function isInCollection(collection, relToInput) {
+    if (typeof collection?.match !== "string" || collection.match === "") {
+        return false;
+    }
+
+    return ignore().add(collection.match).ignores(relToInput.split(path.sep).join("/"));
+}
+export function getFeedItems(collection, pages) {
+    const items = pages.map(page => ({
+        title: String(getPageValue(page, "title") ?? page.urlPath),
+        date: toDate(getPageValue(page, "date")),
+        summary: getPageValue(page, "summary") ?? getPageValue(page, "description"),
+        urlPath: page.urlPath,
+        html: page.html
+    }));
+
+
+    // Newest first, undated items at the end
+    items.sort((a, b) => (b.date?.getTime() ?? -Infinity) - (a.date?.getTime() ?? -Infinity) || a.urlPath.localeCompare(b.urlPath));
+
+
+    return items.slice(0, collection.limit);
+}
+export function createRss(siteUrl, collection, items, feedPath) {
+    const baseUrl = getBaseUrl(siteUrl);
+    const toUrl = (urlPath) => new URL(encodeURI(urlPath.replace(/^\//, "")), baseUrl).href;
+    const feedUrl = toUrl(feedPath);
+    const lastBuildDate = items.find(item => item.date !== undefined)?.date ?? new Date();
+
+    const itemsXml = items.map(item => [
+        `    <item>`,
+        `      <title>${escapeXml(item.title)}</title>`,
+        `      <link>${escapeXml(toUrl(item.urlPath))}</link>`,
+        `      <guid isPermaLink="true">${escapeXml(toUrl(item.urlPath))}</guid>`,
+        ...(item.date !== undefined ? [`      <pubDate>${item.date.toUTCString()}</pubDate>`] : []),
+        ...(item.summary !== undefined ? [`      <description>${escapeXml(item.summary)}</description>`] : []),
+        ...(collection.includeHtml ? [`      <content:encoded>${toCData(item.html)}</content:encoded>`] : []),
+        `    </item>`
+    ].join("\n"));
+
+
+    return [
+        `<?xml version="1.0" encoding="UTF-8"?>`,
+        `<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/">`,
+        `  <channel>`,
+        `    <title>${escapeXml(collection.title)}</title>`,
+        `    <link>${escapeXml(toUrl(collection.link))}</link>`,
+        `    <description>${escapeXml(collection.description)}</description>`,
+        `    <atom:link href="${escapeXml(feedUrl)}" rel="self" type="application/rss+xml"/>`,
+        `    <lastBuildDate>${lastBuildDate.toUTCString()}</lastBuildDate>`,
+        ...itemsXml,
+        `  </channel>`,
+        `</rss>`,
+        ``
+    ].join("\n");
+}
+export function createAtom(siteUrl, collection, items, feedPath) {
+    const baseUrl = getBaseUrl(siteUrl);
+    const toUrl = (urlPath) => new URL(encodeURI(urlPath.replace(/^\//, "")), baseUrl).href;
+    const feedUrl = toUrl(feedPath);
+    const updated = items.find(item => item.date !== undefined)?.date ?? new Date();
+
+    const entriesXml = items.map(item => [
+        `  <entry>`,
+        `    <title>${escapeXml(item.title)}</title>`,
+        `    <id>${escapeXml(toUrl(item.urlPath))}</id>`,
+        `    <link href="${escapeXml(toUrl(item.urlPath))}"/>`,
+        `    <updated>${(item.date ?? updated).toISOString()}</updated>`,
+        ...(item.summary !== undefined ? [`    <summary>${escapeXml(item.summary)}</summary>`] : []),
+        ...(collection.includeHtml ? [`    <content type="html">${escapeXml(item.html)}</content>`] : []),
+        `  </entry>`
+    ].join("\n"));
+
+
+    return [
+        `<?xml version="1.0" encoding="UTF-8"?>`,
+        `<feed xmlns="http://www.w3.org/2005/Atom">`,
+        `  <title>${escapeXml(collection.title)}</title>`,
+        ...(collection.description !== "" ? [`  <subtitle>${escapeXml(collection.description)}</subtitle>`] : []),
+        `  <id>${escapeXml(feedUrl)}</id>`,
+        `  <link href="${escapeXml(toUrl(collection.link))}"/>`,
+        `  <link href="${escapeXml(feedUrl)}" rel="self"/>`,
+        `  <updated>${updated.toISOString()}</updated>`,
+        ...(collection.author !== "" ? [`  <author><name>${escapeXml(collection.author)}</name></author>`] : []),
+        ...entriesXml,
+        `</feed>`,
+        ``
+    ].join("\n");
+}
+export async function writeFeeds(siteUrl, outputPath, collection, pages) {
+    const items = getFeedItems(collection, pages);
+    const writtenPaths = [];
+    const feeds = [[collection.rss, createRss], [collection.atom, createAtom]];
+    for (const [feedPath, createFeed] of feeds) {
+        if (typeof feedPath !== "string" || feedPath === "") {
+            continue;
+        }
+
+        const absFeedPath = path.join(outputPath, feedPath);
+        await fsp.mkdir(path.dirname(absFeedPath), { recursive: true });
+        await fsp.writeFile(absFeedPath, createFeed(siteUrl, collection, items, feedPath));
+        writtenPaths.push(absFeedPath);
+    }
+
+    return writtenPaths;
+}
@@ -0,0 +1,141 @@
+import fs from "fs";
+import path from "path";
+import ignore from "ignore";
+import { promises as fsp } from "fs";
+import { hashContent } from "./build-cache.js";
+
+
+// Properties
+export const ASSET_MANIFEST_FILE_NAME = "asset-manifest.json";
+export const DEFAULT_FINGERPRINT_PATTERNS = ["*.css", "*.js", "*.mjs", "*.png", "*.jpg", "*.jpeg", "*.gif", "*.svg", "*.webp", "*.avif", "*.woff", "*.woff2", "*.ttf", "*.otf", "*.mp4", "*.webm", "*.mp3"];
+const HASH_LENGTH = 8;
+const HTML_URL_REGEX = /(\s(?:src|href|poster|data)\s*=\s*)(["'])(.*?)\2/gi;
+const HTML_SRCSET_REGEX = /(\s(?:srcset|imagesrcset)\s*=\s*)(["'])(.*?)\2/gi;
+const CSS_URL_REGEX = /(url\(\s*)(["']?)([^"')]+?)\2(\s*\))/gi;
+const CSS_IMPORT_REGEX = /(@import\s+)(["'])(.*?)\2/gi;
+const EXTERNAL_URL_REGEX = /^([a-z][a-z\d+.-]*:|\/\/)/i;  // e.g. https://, data: or protocol relative urls
+
+
+// Methods
+export function toUrlPath(relPath) {  // Relative path with os separators to absolute url path e.g. /static/styles.css
+    return `/${relPath.split(path.sep).join("/")}`;
+}
+function getBaseUrl(urlPath) {  // Url of directory containing given url path
+    return urlPath.slice(0, urlPath.lastIndexOf("/") + 1);
+}
+export function getFingerprintFilter(fingerprintAssets) {  // `true` for default patterns or gitignore style patterns of input paths, Returns null if disabled
+    if (fingerprintAssets !== true && !Array.isArray(fingerprintAssets)) {
+        return null;
+    }
+
+    const matcher = ignore().add(fingerprintAssets === true ? DEFAULT_FINGERPRINT_PATTERNS : fingerprintAssets);
+    return (relPath) => matcher.ignores(relPath);
+}
+export function getFingerprintedPath(urlPath, content) {  // e.g. /static/styles.css to /static/styles.3f9a1c2b.css
+    const { dir, name, ext } = path.posix.parse(urlPath);
+    return path.posix.join(dir, `${name}.${hashContent(content).slice(0, HASH_LENGTH)}${ext}`);
+}
+export function rewriteUrl(url, assets, baseUrl) {  // Only the file name of a reference changes, so relative references stay relative
+    const [, urlPath, suffix] = /^([^?#]*)(.*)$/s.exec(url);
+    if (urlPath === "" || EXTERNAL_URL_REGEX.test(urlPath)) {
+        return url;
+    }
+
+
+    // Resolve reference against url of file containing it
+    let resolvedPath = "";
+    try {
+        resolvedPath = decodeURI(new URL(urlPath, `http://localhost${baseUrl}`).pathname);
+    }
+    catch (err) {
+        return url;
+    }
+    const fingerprintedPath = assets[resolvedPath];
+    if (fingerprintedPath === undefined) {
+        return url;
+    }
+
+
+    // Keep encoding of original file name
+    const fileName = urlPath.slice(urlPath.lastIndexOf("/") + 1);
+    const newFileName = path.posix.basename(fingerprintedPath);
+    return `${urlPath.slice(0, urlPath.length - fileName.length)}${fileName.includes("%") ? encodeURIComponent(newFileName) : newFileName}${suffix}`;
+}
+export function rewriteCss(code, assets, baseUrl) {
+    return String(code)
+        .replace(CSS_URL_REGEX, (match, start, quote, url, end) => `${start}${quote}${rewriteUrl(url, assets, baseUrl)}${quote}${end}`)
+        .replace(CSS_IMPORT_REGEX, (match, start, quote, url) => `${start}${quote}${rewriteUrl(url, assets, baseUrl)}${quote}`);
+}
+export function rewriteHtml(code, assets, baseUrl) {  // Rewrites attributes, srcset lists & css inside style tags or attributes
+    const html = String(code)
+        .replace(HTML_URL_REGEX, (match, start, quote, url) => `${start}${quote}${rewriteUrl(url, assets, baseUrl)}${quote}`)
+        .replace(HTML_SRCSET_REGEX, (match, start, quote, srcset) => {
+            const candidates = srcset.split(",").map(candidate => candidate.replace(/^(\s*)(\S+)/, (m, space, url) => `${space}${rewriteUrl(url, assets, baseUrl)}`));
+            return `${start}${quote}${candidates.join(",")}${quote}`;
+        });
+    return rewriteCss(html, assets, baseUrl);
+}
+export function rewriteFile(code, filePath, assets, outputPath) {  // Rewrites references inside html or css file, relative to where it is written
+    const baseUrl = getBaseUrl(toUrlPath(path.relative(outputPath, filePath)));
+    return filePath.endsWith(".css") ? rewriteCss(code, assets, baseUrl) : rewriteHtml(code, assets, baseUrl);
+}
+export async function updateAssets(assets, inputPath, changedPaths, toFingerprint) {  // Returns new asset map, Format { "/static/styles.css" : "/static/styles.3f9a1c2b.css", ... }
+    const updated = { ...assets };
+
+
+    // Hash changed assets, css is hashed once every asset it might reference is
+    for (const changedPath of changedPaths) {
+        const relPath = path.relative(inputPath, changedPath);
+        const urlPath = toUrlPath(relPath);
+        if (!toFingerprint(relPath)) {
+            continue;
+        }
+
+        if (!fs.existsSync(changedPath) || !fs.statSync(changedPath).isFile()) {
+            delete updated[urlPath];
+        }
+        else {
+            updated[urlPath] = urlPath.endsWith(".css") ? urlPath : getFingerprintedPath(urlPath, await fsp.readFile(changedPath));
+        }
+    }
+
+
+    // Drop assets whose input no longer exists (e.g. deleted while not running)
+    Object.keys(updated).filter(urlPath => !fs.existsSync(path.join(inputPath, urlPath))).forEach(urlPath => delete updated[urlPath]);
+
+
+    // Hash css after rewriting its references, Repeated until stable since css can import other css
+    const cssPaths = Object.keys(updated).filter(urlPath => urlPath.endsWith(".css"));
+    const cssCodes = new Map();
+    for (const urlPath of cssPaths) {
+        cssCodes.set(urlPath, await fsp.readFile(path.join(inputPath, urlPath), "utf8"));
+    }
+    for (let i = 0; i <= cssPaths.length; i++) {
+        let hasChanged = false;
+        for (const urlPath of cssPaths) {
+            const fingerprintedPath = getFingerprintedPath(urlPath, rewriteCss(cssCodes.get(urlPath), updated, getBaseUrl(urlPath)));
+            hasChanged = hasChanged || updated[urlPath] !== fingerprintedPath;
+            updated[urlPath] = fingerprintedPath;
+        }
+        if (!hasChanged) {
+            break;
+        }
+    }
+
+
+    return updated;
+}
+export async function readAssetManifest(manifestPath) {  // Returns undefined if missing or unreadable
+    try {
+        return fs.existsSync(manifestPath) ? JSON.parse(await fsp.readFile(manifestPath, "utf8")) : undefined;
+    }
+    catch (err) {
+        return undefined;
+    }
+}
+export async function writeAssetManifest(manifestPath, assets) {
+    const sorted = Object.fromEntries(Object.entries(assets).sort(([a], [b]) => a.localeCompare(b)));
+    await fsp.mkdir(path.dirname(manifestPath), { recursive: true });
+    await fsp.writeFile(manifestPath, JSON.stringify(sorted, null, 2));
+    return manifestPath;
+}
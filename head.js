@@ -0,0 +1,165 @@
+import * as Preact from "preact";
+import { renderToStaticMarkup } from "preact-render-to-string";
+
+
+// Properties
+const SINGLE_TAGS = new Set(["title", "base"]);
+const META_KEY_ATTRIBUTES = ["charset", "name", "property", "http-equiv", "itemprop"];
+const JSX_ATTRIBUTE_NAMES = { httpEquiv: "http-equiv", charSet: "charset", itemProp: "itemprop", hrefLang: "hreflang", crossOrigin: "crossorigin", className: "class" };  // Props named differently from their html attribute
+const RAW_CONTENT_TAGS = new Set(["script", "style"]);
+const HEAD_ELEMENT_REGEX = /<(meta|link|base)\b([^>]*)>|<(title|script)\b([^>]*)>([\s\S]*?)<\/\3\s*>/gi;  // Tags of rendered head which can be keyed
+const ATTRIBUTE_REGEX = /([^\s=/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+
+
+// Methods
+function getTextContent(children) {
+    if (children === undefined || children === null || typeof children === "boolean") {
+        return "";
+    }
+
+    if (Array.isArray(children)) {
+        return children.map(getTextContent).join("");
+    }
+
+    if (typeof children === "object") {
+        return getTextContent(children.props?.children);
+    }
+
+    return String(children);
+}
+function vnodeToHeadTags(vnode) {
+
+    // Flatten arrays & fragments
+    if (Array.isArray(vnode)) {
+        return vnode.flatMap(vnodeToHeadTags);
+    }
+    if (vnode === undefined || vnode === null || typeof vnode !== "object") {
+        return [];
+    }
+    if (typeof vnode.type !== "string") {
+        return vnodeToHeadTags(vnode.props?.children);
+    }
+
+
+    // Convert element to plain head tag
+    const { children, ...attributes } = vnode.props ?? {};
+    const content = getTextContent(children);
+    return [{ tag: vnode.type, ...attributes, ...(content !== "" && { children: content }) }];
+}
+function toAttributeName(name) {  // Same name as in rendered html, so tags from `<Head>` & a rendered head get the same key
+    return (JSX_ATTRIBUTE_NAMES[name] ?? name).toLowerCase();
+}
+function getHeadTagKey(headTag) {
+    const { tag, ...props } = headTag;
+    const attributes = Object.fromEntries(Object.entries(props).map(([name, value]) => [toAttributeName(name), value]));
+
+    // Tags which can only appear once
+    if (SINGLE_TAGS.has(tag)) {
+        return tag;
+    }
+
+
+    // Meta tags are unique by charset, name, property, etc.
+    if (tag === "meta") {
+        const keyAttribute = META_KEY_ATTRIBUTES.find(attr => attributes[attr] !== undefined);
+        if (keyAttribute !== undefined) {
+            return keyAttribute === "charset" ? "meta:charset" : `meta:${keyAttribute}:${attributes[keyAttribute]}`;
+        }
+    }
+
+
+    // Only one canonical link, other links are unique by rel & href
+    if (tag === "link") {
+        if (attributes.rel === "canonical") {
+            return "link:canonical";
+        }
+        if (attributes.href !== undefined) {
+            return `link:${attributes.rel}:${attributes.hreflang ?? ""}:${attributes.href}`;
+        }
+    }
+
+
+    // Scripts are unique by src
+    if (tag === "script" && attributes.src !== undefined) {
+        return `script:${attributes.src}`;
+    }
+
+
+    return JSON.stringify({ tag, ...attributes });
+}
+function parseHeadElements(headHtml) {  // Keyable tags already rendered in a head, Format [{ key, start, end }, ...]
+    return [...headHtml.matchAll(HEAD_ELEMENT_REGEX)].map((match) => {
+        const attributes = Object.fromEntries([...(match[2] ?? match[4]).matchAll(ATTRIBUTE_REGEX)].map(([, name, ...values]) => [name.toLowerCase(), values.find(value => value !== undefined) ?? ""]));
+        const tag = (match[1] ?? match[3]).toLowerCase();
+        return { key: getHeadTagKey({ tag, ...attributes, ...(match[5] && { children: match[5] }) }), start: match.index, end: match.index + match[0].length };
+    });
+}
+export function createHeadCollector() {
+    const headTags = [];
+    const Head = ({ children }) => {
+        headTags.push(...vnodeToHeadTags(children));
+        return null;
+    };
+
+
+    return { Head, getHeadTags: () => [...headTags] };
+}
+export function mergeHeadTags(...headTagLists) {
+
+    // Later tags replace earlier ones with the same key while keeping the earlier position
+    const merged = new Map();
+    for (const headTag of headTagLists.flat()) {
+        if (typeof headTag?.tag !== "string" || headTag.tag === "") {
+            continue;
+        }
+
+        merged.set(getHeadTagKey(headTag), headTag);
+    }
+
+
+    return [...merged.values()];
+}
+export function renderHeadTags(headTags) {
+    const elements = headTags.map(({ tag, children, ...attributes }) => {
+        if (RAW_CONTENT_TAGS.has(tag)) {  // Inline scripts & styles must not be escaped
+            return Preact.h(tag, { ...attributes, dangerouslySetInnerHTML: { __html: children ?? "" } });
+        }
+
+        return Preact.h(tag, attributes, children);
+    });
+
+
+    return renderToStaticMarkup(Preact.h(Preact.Fragment, {}, ...elements));
+}
+export function createHtmlDocument(bodyHtml, headTags = [], defaultHeadTags = []) {  // `defaultHeadTags` (e.g. site-wide ones) are replaced by tags of a rendered head & `headTags`
+
+    // Wrap in a complete document if not already rendered as one (e.g. by a layout)
+    const htmlTagMatch = /^\s*<html(\s[^>]*)?>/i.exec(bodyHtml);
+    if (htmlTagMatch === null) {
+        return `<!DOCTYPE html><html><head>${renderHeadTags(mergeHeadTags(defaultHeadTags, headTags))}</head><body>${bodyHtml}</body></html>`;
+    }
+
+
+    // Remove tags of existing head replaced by given ones, Defaults replaced by remaining ones are skipped
+    const headTagMatch = /<head(\s[^>]*)?>/i.exec(bodyHtml);
+    const headStart = headTagMatch !== null ? headTagMatch.index + headTagMatch[0].length : htmlTagMatch.index + htmlTagMatch[0].length;
+    const headCloseIndex = headTagMatch !== null ? bodyHtml.slice(headStart).search(/<\/head\s*>/i) : -1;
+    const headEnd = headCloseIndex !== -1 ? headStart + headCloseIndex : headStart;
+    const headKeys = new Set(headTags.filter(headTag => typeof headTag?.tag === "string").map(getHeadTagKey));
+    let existingHeadHtml = bodyHtml.slice(headStart, headEnd);
+    const existingKeys = new Set();
+    for (const { key, start, end } of parseHeadElements(existingHeadHtml).reverse()) {
+        if (headKeys.has(key)) {
+            existingHeadHtml = existingHeadHtml.slice(0, start) + existingHeadHtml.slice(end);
+        }
+        else {
+            existingKeys.add(key);
+        }
+    }
+    const headHtml = renderHeadTags(mergeHeadTags(defaultHeadTags.filter(headTag => typeof headTag?.tag === "string" && !existingKeys.has(getHeadTagKey(headTag))), headTags));
+
+
+    // Insert into existing head, or add one right after the html tag
+    const insertHtml = headTagMatch !== null ? headHtml + existingHeadHtml : `<head>${headHtml}</head>`;
+    return `<!DOCTYPE html>${bodyHtml.slice(0, headStart)}${insertHtml}${bodyHtml.slice(headEnd)}`;
+}
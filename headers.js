@@ -0,0 +1,20 @@
+import ignore from "ignore";
+
+
+// Methods
+export function compileHeaders(headers) {  // Matcher of each gitignore style pattern from configs, Format [{ matcher, values }, ...]
+    return Object.entries(headers ?? {}).map(([pattern, values]) => ({ matcher: ignore().add(pattern), values }));
+}
+export function getMatchingHeaders(compiledHeaders, urlPath) {  // Headers of every pattern matching url path, Directory urls are matched as their index file
+    let relPath = "";
+    try {
+        relPath = decodeURIComponent(urlPath).replace(/^\/+/, "");
+    }
+    catch (err) {
+        return {};
+    }
+    relPath = relPath === "" || relPath.endsWith("/") ? `${relPath}index.html` : relPath;
+
+    const matching = compiledHeaders.filter(({ matcher }) => matcher.ignores(relPath));
+    return Object.assign({}, ...matching.map(({ values }) => values));
+}
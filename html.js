@@ -0,0 +1,22 @@
+// Properties
+const HTML_ESCAPES = { "&": "&amp;", "<": "&lt;", ">": "&gt;", "\"": "&quot;", "'": "&#39;" };
+
+
+// Methods
+export function escapeHtml(text) {  // Safe inside text & quoted attribute values
+    return String(text).replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+}
+export function injectIntoBody(htmlCode, snippet, toPrepend = false) {  // Inserts just after opening body tag or before closing one, At start or end if there is none
+    htmlCode = String(htmlCode);
+    let insertIndex = toPrepend ? 0 : htmlCode.length;
+    if (toPrepend) {
+        const bodyOpenMatch = /<body\b[^>]*>/i.exec(htmlCode);
+        insertIndex = bodyOpenMatch !== null ? bodyOpenMatch.index + bodyOpenMatch[0].length : insertIndex;
+    }
+    else {
+        const bodyCloseIndex = htmlCode.toLowerCase().lastIndexOf("</body>");
+        insertIndex = bodyCloseIndex !== -1 ? bodyCloseIndex : insertIndex;
+    }
+
+    return htmlCode.slice(0, insertIndex) + snippet + htmlCode.slice(insertIndex);
+}
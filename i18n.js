@@ -0,0 +1,100 @@
+import path from "path";
+
+
+// Enums
+export const LocaleDetection = Object.freeze({
+    DIRECTORY: "directory",  // e.g. en/about.mdx & de/about.mdx
+    SUFFIX: "suffix"  // e.g. about.mdx (default locale) & about.de.mdx
+});
+
+
+// Properties
+export const DEFAULT_I18N_OPTIONS = {
+    locales: [],  // e.g. ["en", "de"]
+    defaultLocale: undefined,  // Defaults to first locale, Its pages are used for untranslated pages of other locales
+    detection: LocaleDetection.DIRECTORY
+};
+
+
+// Methods
+function toPosixPath(filePath) {
+    return filePath.split(path.sep).join("/");
+}
+export function getI18nOptions(i18n) {  // Returns null if disabled i.e. no locales given
+    if (typeof i18n !== "object" || i18n === null || !Array.isArray(i18n.locales) || i18n.locales.length === 0) {
+        return null;
+    }
+
+
+    // Check default locale & detection
+    const options = { ...DEFAULT_I18N_OPTIONS, ...i18n, locales: i18n.locales.map(String) };
+    options.defaultLocale = options.defaultLocale ?? options.locales[0];
+    if (!options.locales.includes(options.defaultLocale)) {
+        throw new Error(`Default locale "${options.defaultLocale}" is not one of locales ${options.locales.join(", ")}`);
+    }
+    if (!Object.values(LocaleDetection).includes(options.detection)) {
+        throw new Error(`Invalid locale detection "${options.detection}", Only ${Object.values(LocaleDetection).join(" or ")} is supported`);
+    }
+
+
+    return options;
+}
+export function parseLocalePath(relPath, options) {  // Returns { locale, key } of page, `key` being its path without locale, undefined if not localized
+    relPath = toPosixPath(relPath);
+    if (!relPath.endsWith(".mdx")) {
+        return undefined;
+    }
+
+
+    // First directory is the locale
+    if (options.detection === LocaleDetection.DIRECTORY) {
+        const [locale, ...rest] = relPath.split("/");
+        return options.locales.includes(locale) && rest.length !== 0 ? { locale, key: rest.join("/") } : undefined;
+    }
+
+
+    // Suffix before extension is the locale, Pages without one are of default locale
+    const match = /^(.*)\.([^./]+)\.mdx$/.exec(relPath);
+    return match !== null && options.locales.includes(match[2])
+        ? { locale: match[2], key: `${match[1]}.mdx` }
+        : { locale: options.defaultLocale, key: relPath };
+}
+export function getLocalizedPath(key, locale) {  // Path of page inside locale prefix, relative to output
+    return path.join(locale, ...key.split("/"));
+}
+export function getLocaleTargets(key, locale, translatedLocales, options) {  // Locales a page is created for, i.e. its own & those it is the fallback of
+    if (locale !== options.defaultLocale) {
+        return [locale];
+    }
+
+    return [locale, ...options.locales.filter(l => l !== locale && !translatedLocales.has(l))];
+}
+export function createAlternateTags(alternates, defaultLocale, siteUrl = undefined) {  // `hreflang` head tags, Format [{ tag: "link", rel: "alternate", hreflang, href }, ...]
+    const toHref = (urlPath) => siteUrl ? new URL(urlPath, siteUrl).href : urlPath;
+    const tags = alternates.map(({ locale, urlPath }) => ({ tag: "link", rel: "alternate", hreflang: locale, href: toHref(urlPath) }));
+    const defaultAlternate = alternates.find(alternate => alternate.locale === defaultLocale);
+    if (defaultAlternate !== undefined) {
+        tags.push({ tag: "link", rel: "alternate", hreflang: "x-default", href: toHref(defaultAlternate.urlPath) });
+    }
+
+    return tags;
+}
+export function getPreferredLocale(acceptLanguage, locales, defaultLocale) {  // Best match for `Accept-Language` header, by quality then exact or primary language match
+    const languages = String(acceptLanguage ?? "").split(",")
+        .map((part, index) => {
+            const [tag, ...params] = part.trim().split(";");
+            const quality = Number(params.find(param => param.trim().startsWith("q="))?.trim().slice(2) ?? 1);
+            return { tag: tag.trim().toLowerCase(), quality: isNaN(quality) ? 0 : quality, index };
+        })
+        .filter(language => language.tag !== "" && language.quality > 0)
+        .sort((a, b) => b.quality - a.quality || a.index - b.index);
+
+    for (const { tag } of languages) {
+        const match = locales.find(locale => locale.toLowerCase() === tag) ?? locales.find(locale => locale.toLowerCase().split("-")[0] === tag.split("-")[0]);
+        if (match !== undefined) {
+            return match;
+        }
+    }
+
+    return defaultLocale;
+}
@@ -0,0 +1,276 @@
+import fs from "fs";
+import path from "path";
+import { createRequire } from "module";
+import { promises as fsp } from "fs";
+import { hashContent } from "./build-cache.js";
+
+
+// Properties
+export const IMAGES_DIR_NAME = "_images";  // Output directory of generated variants
+const DEFAULT_IMAGE_OPTIONS = {
+    widths: [480, 960, 1440],  // Variants wider than the original are skipped
+    formats: ["webp"],  // "webp" & "avif"
+    quality: 75,
+    sizes: "100vw"
+};
+const HASH_LENGTH = 8;
+const SOURCE_FORMATS = { ".png": "png", ".jpg": "jpeg", ".jpeg": "jpeg", ".webp": "webp" };
+const MIME_TYPES = { avif: "image/avif", webp: "image/webp" };
+const IMG_TAG_REGEX = /<picture\b[\s\S]*?<\/picture>|<img\b[^>]*>/gi;  // Images already inside <picture> are left as is
+const ATTRIBUTE_REGEX = /([^\s"'=<>/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+const require = createRequire(import.meta.url);
+
+
+// Methods
+function parseAttributes(tag) {  // Returns Map of attributes of an html tag, Keeping their order
+    const attributes = new Map();
+    const inner = tag.replace(/^<\w+/, "").replace(/\/?>$/, "");
+    for (const [, name, doubleQuoted, singleQuoted, unquoted] of inner.matchAll(ATTRIBUTE_REGEX)) {
+        attributes.set(name.toLowerCase(), doubleQuoted ?? singleQuoted ?? unquoted ?? "");
+    }
+    return attributes;
+}
+function toTag(name, attributes) {
+    const attributesHtml = [...attributes].map(([key, value]) => ` ${key}="${String(value).replace(/&(?!\w+;|#\d+;|#x[\da-f]+;)/gi, "&amp;").replace(/"/g, "&quot;")}"`).join("");
+    return `<${name}${attributesHtml}>`;
+}
+async function loadWasm(specifier) {
+    return await WebAssembly.compile(await fsp.readFile(require.resolve(specifier)));
+}
+export function getImageOptions(images) {  // `true` for defaults or object overriding them, Returns null if disabled
+    if (images !== true && (typeof images !== "object" || images === null)) {
+        return null;
+    }
+
+    return { ...DEFAULT_IMAGE_OPTIONS, ...(images === true ? {} : images) };
+}
+export function getImageSize(buffer) {  // Dimensions from png, jpeg or webp header, undefined if unknown
+    const isPng = buffer.length >= 24 && buffer.readUInt32BE(0) === 0x89504E47;
+    if (isPng) {
+        return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+    }
+
+
+    // Jpeg dimensions are in start of frame segment
+    const isJpeg = buffer.length >= 4 && buffer[0] === 0xFF && buffer[1] === 0xD8;
+    for (let i = 2; isJpeg && i + 9 < buffer.length && buffer[i] === 0xFF;) {
+        const marker = buffer[i + 1];
+        const isStartOfFrame = 0xC0 <= marker && marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(marker);
+        if (isStartOfFrame) {
+            return { width: buffer.readUInt16BE(i + 7), height: buffer.readUInt16BE(i + 5) };
+        }
+        i += 2 + buffer.readUInt16BE(i + 2);
+    }
+
+
+    // Webp dimensions depend on whether image is lossy, lossless or extended
+    const isWebp = buffer.length >= 30 && buffer.toString("ascii", 0, 4) === "RIFF" && buffer.toString("ascii", 8, 12) === "WEBP";
+    const chunk = isWebp ? buffer.toString("ascii", 12, 16) : "";
+    if (chunk === "VP8 ") {
+        return { width: buffer.readUInt16LE(26) & 0x3FFF, height: buffer.readUInt16LE(28) & 0x3FFF };
+    }
+    else if (chunk === "VP8L") {
+        const bits = buffer.readUInt32LE(21);
+        return { width: (bits & 0x3FFF) + 1, height: ((bits >> 14) & 0x3FFF) + 1 };
+    }
+    else if (chunk === "VP8X") {
+        return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+    }
+
+
+    return undefined;
+}
+export function getVariantWidths(width, widths) {  // Configured widths narrower than original, along with original width
+    return [...new Set([...widths.filter(w => Number.isInteger(w) && 0 < w && w < width), width])].sort((a, b) => a - b);
+}
+
+
+// Classes
+export class ImageProcessor {
+
+    // Private Properties
+    #cacheDir = null;  // Variants are kept here between builds, null to always encode
+    #options = DEFAULT_IMAGE_OPTIONS;
+    #codecs = null;  // Promise of WASM codecs, Only loaded once an image has to be encoded
+    #images = new Map();  // Format { "path/to/input/image.png" : Promise({ width, height, variants : [{ format, width, fileName }, ...] }), ... }, Only valid for a single build
+
+
+    // Constructors
+    constructor(cacheDir = null, options = {}) {
+        this.#cacheDir = cacheDir;
+        this.#options = { ...DEFAULT_IMAGE_OPTIONS, ...options };
+    }
+
+
+    // Private Methods
+    async #loadCodecs() {
+        const { simd } = await import("wasm-feature-detect");
+        const [webpEncode, webpDecode, avifEncode, pngDecode, jpegDecode, resize] = await Promise.all([
+            import("@jsquash/webp/encode.js"),
+            import("@jsquash/webp/decode.js"),
+            import("@jsquash/avif/encode.js"),
+            import("@jsquash/png/decode.js"),
+            import("@jsquash/jpeg/decode.js"),
+            import("@jsquash/resize")
+        ]);
+
+
+        // WASM is read from disk since fetching it is not possible in node
+        await webpEncode.init(await loadWasm(`@jsquash/webp/codec/enc/${await simd() ? "webp_enc_simd" : "webp_enc"}.wasm`));
+        await webpDecode.init(await loadWasm("@jsquash/webp/codec/dec/webp_dec.wasm"));
+        await avifEncode.init(await loadWasm("@jsquash/avif/codec/enc/avif_enc.wasm"));
+        await pngDecode.init(await loadWasm("@jsquash/png/codec/pkg/squoosh_png_bg.wasm"));
+        await jpegDecode.init(await loadWasm("@jsquash/jpeg/codec/dec/mozjpeg_dec.wasm"));
+        await resize.initResize(await loadWasm("@jsquash/resize/lib/resize/pkg/squoosh_resize_bg.wasm"));
+
+
+        return {
+            decode: { png: pngDecode.default, jpeg: jpegDecode.default, webp: webpDecode.default },
+            encode: { webp: webpEncode.default, avif: avifEncode.default },
+            resize: resize.default
+        };
+    }
+    async #getCodecs() {
+        this.#codecs = this.#codecs ?? this.#loadCodecs();
+        return await this.#codecs;
+    }
+    async #processImage(sourcePath) {  // Creates variants missing from cache, decoding source at most once
+        const source = await fsp.readFile(sourcePath);
+        const size = getImageSize(source);
+        if (size === undefined) {
+            throw new Error(`Unknown dimensions of image ${sourcePath}`);
+        }
+
+
+        // Name variants by hash of source & options, so cached ones are only reused while both are unchanged
+        const { name } = path.parse(sourcePath);
+        const formats = this.#options.formats.filter(format => MIME_TYPES[format] !== undefined);
+        const sourceHash = hashContent(source);
+        const variants = [];
+        for (const format of formats) {
+            for (const width of getVariantWidths(size.width, this.#options.widths)) {
+                const hash = hashContent(`${sourceHash}-${format}-${width}-${this.#options.quality}`).slice(0, HASH_LENGTH);
+                variants.push({ format, width, fileName: `${name}-${width}.${hash}.${format}` });
+            }
+        }
+
+
+        // Encode variants not found in cache
+        const missing = variants.filter(variant => this.#cacheDir === null || !fs.existsSync(path.join(this.#cacheDir, variant.fileName)));
+        if (missing.length !== 0) {
+            const codecs = await this.#getCodecs();
+            const decoded = await codecs.decode[SOURCE_FORMATS[path.extname(sourcePath).toLowerCase()]](source);
+            for (const variant of missing) {
+                const height = Math.max(1, Math.round(decoded.height * variant.width / decoded.width));
+                const resized = variant.width < decoded.width ? await codecs.resize(decoded, { width: variant.width, height }) : decoded;
+                variant.data = Buffer.from(await codecs.encode[variant.format](resized, { quality: this.#options.quality }));
+                if (this.#cacheDir !== null) {
+                    const cachePath = path.join(this.#cacheDir, variant.fileName);
+                    await fsp.mkdir(this.#cacheDir, { recursive: true });
+                    await fsp.writeFile(`${cachePath}.tmp`, variant.data);
+                    await fsp.rename(`${cachePath}.tmp`, cachePath);  // Renamed once fully written, so an interrupted build leaves no partial variant
+                }
+            }
+        }
+
+
+        return { ...size, variants };
+    }
+    async #writeVariants(image, outputPath) {  // Returns absolute paths of written variants
+        const variantPaths = [];
+        for (const variant of image.variants) {
+            const variantPath = path.join(outputPath, IMAGES_DIR_NAME, variant.fileName);
+            await fsp.mkdir(path.dirname(variantPath), { recursive: true });
+            if (variant.data !== undefined) {
+                await fsp.writeFile(variantPath, variant.data);
+            }
+            else {
+                await fsp.copyFile(path.join(this.#cacheDir, variant.fileName), variantPath);
+            }
+            variantPaths.push(variantPath);
+        }
+        return variantPaths;
+    }
+    async #rewriteImage(tag, htmlPath, inputPath, outputPath, onError) {  // Returns { html, sourcePath, variantPaths }, html is tag as is if not a local image
+
+        // Resolve src against url of page to an image inside input
+        const attributes = parseAttributes(tag);
+        const pageUrl = `/${path.relative(outputPath, htmlPath).split(path.sep).join("/")}`;
+        let sourcePath = "";
+        try {
+            const urlPath = decodeURI(new URL(attributes.get("src") ?? "", `http://localhost${pageUrl}`).pathname);
+            sourcePath = path.join(inputPath, path.normalize(urlPath));
+        }
+        catch (err) {
+            return { html: tag };
+        }
+        const isLocalImage = attributes.has("src") && !/^([a-z][a-z\d+.-]*:|\/\/)/i.test(attributes.get("src")) && sourcePath.startsWith(`${inputPath}${path.sep}`);
+        if (!isLocalImage || SOURCE_FORMATS[path.extname(sourcePath).toLowerCase()] === undefined || !fs.existsSync(sourcePath)) {
+            return { html: tag };
+        }
+
+
+        // Process image once per build, even if many pages use it
+        let image = undefined;
+        try {
+            this.#images.set(sourcePath, this.#images.get(sourcePath) ?? this.#processImage(sourcePath));
+            image = await this.#images.get(sourcePath);
+        }
+        catch (err) {
+            onError?.(sourcePath, err);
+            return { html: tag, sourcePath };
+        }
+        const variantPaths = await this.#writeVariants(image, outputPath);
+
+
+        // Add intrinsic dimensions & lazy loading unless already set, A missing dimension keeps aspect ratio of the other
+        const width = Number(attributes.get("width"));
+        const height = Number(attributes.get("height"));
+        if (!attributes.has("width") && !attributes.has("height")) {
+            attributes.set("width", image.width);
+            attributes.set("height", image.height);
+        }
+        else if (!attributes.has("height") && 0 < width) {
+            attributes.set("height", Math.round(width * image.height / image.width));
+        }
+        else if (!attributes.has("width") && 0 < height) {
+            attributes.set("width", Math.round(height * image.width / image.height));
+        }
+        attributes.set("loading", attributes.get("loading") ?? "lazy");
+        attributes.set("decoding", attributes.get("decoding") ?? "async");
+        const img = toTag("img", attributes);
+        if (attributes.has("srcset") || image.variants.length === 0) {
+            return { html: img, sourcePath, variantPaths };
+        }
+
+
+        // Wrap in <picture> with a source per format, best compressing format first
+        // Variants are referenced the way the image is, so relative references stay relative (e.g. for sites not hosted at root)
+        const sizes = attributes.get("sizes") ?? this.#options.sizes;
+        const imagesUrl = attributes.get("src").startsWith("/") ? `/${IMAGES_DIR_NAME}/` : `${path.posix.relative(path.posix.dirname(pageUrl), `/${IMAGES_DIR_NAME}`)}/`;
+        const formats = Object.keys(MIME_TYPES).filter(format => image.variants.some(variant => variant.format === format));
+        const sources = formats.map(format => {
+            const srcset = image.variants.filter(variant => variant.format === format).map(variant => `${imagesUrl}${encodeURIComponent(variant.fileName)} ${variant.width}w`).join(", ");
+            return toTag("source", new Map([["type", MIME_TYPES[format]], ["srcset", srcset], ["sizes", sizes]]));
+        });
+        return { html: `<picture>${sources.join("")}${img}</picture>`, sourcePath, variantPaths };
+    }
+
+
+    // Public Methods
+    async processHtml(htmlCode, htmlPath, inputPath, outputPath, onError = undefined) {  // Returns { html, sourcePaths, variantPaths }, `onError(sourcePath, err)` for images which failed & were left as is
+        htmlCode = String(htmlCode);
+        inputPath = path.resolve(inputPath);
+        const results = [];
+        for (const [tag] of htmlCode.matchAll(IMG_TAG_REGEX)) {
+            results.push(tag.toLowerCase().startsWith("<picture") ? { html: tag } : await this.#rewriteImage(tag, htmlPath, inputPath, outputPath, onError));
+        }
+
+        let index = 0;
+        return {
+            html: htmlCode.replace(IMG_TAG_REGEX, () => results[index++].html),
+            sourcePaths: [...new Set(results.map(result => result.sourcePath).filter(p => p !== undefined))],
+            variantPaths: [...new Set(results.flatMap(result => result.variantPaths ?? []))]
+        };
+    }
+}
@@ -1,16 +1,40 @@
 import fs from "fs";
 import os from "os";
 import net from "net";
+import https from "https";
 import path from "path";
 import sirv from "sirv";
 import polka from "polka";
+import compression from "compression";
 import ignore from "ignore";
+import matter from "gray-matter";
 import pLimit from 'p-limit';
 import chokidar from "chokidar";
-import { pathToFileURL } from "url";
+import crypto from "crypto";
+import { pathToFileURL, fileURLToPath } from "url";
 import { promises as fsp } from "fs";
-import { mdxToHtml } from "./mdx-to-html.js";
+import { mdxToHtml, getPlainExports, getErrorDetails } from "./mdx-to-html.js";
+import { createHtmlDocument, mergeHeadTags } from "./head.js";
+import { updateSitemap, readSitemap, createRobotsTxt, getPagePath, getPageUrl, SITEMAP_FILE_NAME, ROBOTS_FILE_NAME } from "./sitemap.js";
+import { getCollection, isInCollection, writeFeeds } from "./feeds.js";
+import { BuildCache, hashConfigs, hashContent, getCacheRoot, getDefaultCacheDir, toCachedValue } from "./build-cache.js";
+import { readCertificate, getSelfSignedCertificate } from "./certificate.js";
+import { WorkerPool } from "./worker-pool.js";
+import { FileStatus, FileType, createBuildReport, finishBuildReport, formatError, formatBrokenLink } from "./build-report.js";
 import { DependencyGraph, crawlDir } from "./dependency-graph.js";
+import { LiveReload, LIVE_RELOAD_ROUTE, injectLiveReloadScript, urlToHtmlPath } from "./live-reload.js";
+import { createCodeFrame, injectErrorOverlay } from "./error-overlay.js";
+import { OutputManifest, MANIFEST_FILE_NAME, LEGACY_MANIFEST_FILE_NAME, SITE_ENTRY_NAME, removeEmptyDirs } from "./output-manifest.js";
+import { ImageProcessor, getImageOptions } from "./images.js";
+import { isDraft, injectDraftBanner } from "./drafts.js";
+import { createPageData } from "./pages.js";
+import { getTocOptions } from "./toc.js";
+import { checkLinks } from "./links.js";
+import { getI18nOptions, parseLocalePath, getLocalizedPath, getLocaleTargets, createAlternateTags, getPreferredLocale } from "./i18n.js";
+import { getFingerprintFilter, updateAssets, rewriteFile, toUrlPath, readAssetManifest, writeAssetManifest, ASSET_MANIFEST_FILE_NAME } from "./fingerprint.js";
+import { getCacheControl, getETag, isNotModified, resolveFilePath } from "./preview.js";
+import { compileHeaders, getMatchingHeaders } from "./headers.js";
+import { REDIRECTS_FILE_NAME, readRedirects, isStaticRedirect, matchRedirect, getRedirectStubPath, createRedirectHtml } from "./redirects.js";
 
 
 // Enums
@@ -30,12 +54,20 @@ export const SiteCreationStatus = Object.freeze({
 const APP_NAME = "host-mdx";
 const IGNORE_FILE_NAME = ".hostmdxignore";
 const CONFIG_FILE_NAME = "host-mdx.js";
+const LAYOUT_FILE_NAME = "_layout.jsx";
+const GRAPH_FILE_NAME = "dependency-graph.json";
 const FILE_404 = "404.html";
 const NOT_FOUND_404_MESSAGE = "404";
 const DEFAULT_PORT = 3000;
 const MAX_PORT = 4000;
 const EXCLUDE_HEADER = "# [EXCLUDE]";  // Case insensitive
 const TEMP_HTML_DIR = path.join(os.tmpdir(), `${APP_NAME}`);
+const CERTIFICATES_DIR_NAME = "certificates";
+const IMAGES_CACHE_DIR_NAME = "images";
+const OUTPUTS_CACHE_DIR_NAME = "outputs";
+const STAGING_DIR_SUFFIX = `.${APP_NAME}-staging`;
+const PREVIOUS_DIR_SUFFIX = `.${APP_NAME}-previous`;
+const MDX_WORKER_PATH = fileURLToPath(new URL("./mdx-worker.js", import.meta.url));
 const DEFAULT_IGNORES = `
 ${EXCLUDE_HEADER}
 ${IGNORE_FILE_NAME}
@@ -53,6 +85,9 @@ ${EXCLUDE_HEADER}
 .github
 ${EXCLUDE_HEADER}
 .gitignore
+
+${LAYOUT_FILE_NAME}
+${REDIRECTS_FILE_NAME}
 `;
 
 
@@ -67,14 +102,28 @@ const LOG_TIME_OPTIONS = {
     hour12: false,
     fractionalSecondDigits: 3
 };
+const NON_OUTPUT_CONFIG_KEYS = ["port", "host", "https", "preview", "includeDrafts", "checkLinks", "headers", "serverMiddleware", "trackChanges", "liveReload", "toBeVerbose", "concurrency", "chokidarOptions", "cache", "cacheDir", "workers"];  // Skipped when hashing configs for build cache
 const DEFAULT_CHOKIDAR_OPTIONS = {
     ignoreInitial: true
 };
 const DEFAULT_CONFIGS = {
     // port: 3000,  // Intentionally kept commented out, otherwise interferes with auto port assigning DO NOT CHANGE
     trackChanges: 0,
+    liveReload: true,
     toBeVerbose: false,
     concurrency: 1,
+    cache: true,
+    https: false,
+    preview: false,
+    cleanUrls: false,
+    cleanUrlsRedirects: false,
+    fingerprintAssets: false,
+    assetManifest: false,
+    images: false,
+    toc: false,
+    checkLinks: false,
+    i18n: false,
+    head: [],
     chokidarOptions: DEFAULT_CHOKIDAR_OPTIONS,
     toIgnore: (inputPath, outputPath, targetPath) => {
         const isGOutputStream = /\.goutputstream-\w+$/.test(targetPath);
@@ -144,51 +193,343 @@ function getExclude(ignoreFilePath) {
     ig.add(filteredLines.join("\n"));
     return ig;
 }
+function getHtmlPath(outputPath, relToInput, slug = undefined, cleanUrls = false) {
+
+    // Replace extension with .html if no slug given
+    const parsedPath = path.parse(path.join(outputPath, relToInput));
+    const isIndex = parsedPath.name === "index";
+    let htmlPath = path.format({ ...parsedPath, base: "", ext: ".html" });
+    if (slug !== undefined && slug !== null) {
+
+        // Check if slug is a single valid path segment
+        slug = String(slug).trim();
+        if (slug === "" || slug === "." || slug === ".." || /[\\/]/.test(slug)) {
+            throw new Error(`Invalid slug "${slug}" in "${relToInput}"`);
+        }
+
+
+        // Slug replaces directory name for index pages & file name for others
+        htmlPath = isIndex ? path.join(path.dirname(parsedPath.dir), slug, "index.html") : path.join(parsedPath.dir, `${slug}.html`);
+        if (!isPathInside(outputPath, path.dirname(htmlPath))) {
+            throw new Error(`Slug "${slug}" in "${relToInput}" points outside output path`);
+        }
+    }
+
+
+    // Clean urls place non index pages in a directory of their own, except 404 page which hosts expect as is
+    if (cleanUrls && !isIndex && path.relative(outputPath, htmlPath) !== FILE_404) {
+        htmlPath = path.join(htmlPath.slice(0, -".html".length), "index.html");
+    }
+
+
+    return htmlPath;
+}
+function getLayoutPaths(inputPath, filePath, frontmatter = {}) {
+
+    // Get directory layouts from root down to file's directory, unless disabled by `layout: false`
+    let layoutPaths = [];
+    if (frontmatter?.layout !== false) {
+        const relDir = path.relative(inputPath, path.dirname(filePath));
+        const segments = relDir !== "" ? relDir.split(path.sep) : [];
+        for (let i = 0; i <= segments.length; i++) {
+            const layoutPath = path.join(inputPath, ...segments.slice(0, i), LAYOUT_FILE_NAME);
+            if (fs.existsSync(layoutPath)) {
+                layoutPaths.push(layoutPath);
+            }
+        }
+    }
+
+
+    // Layout from frontmatter (relative to file) is innermost
+    if (typeof frontmatter?.layout === "string" && frontmatter.layout !== "") {
+        layoutPaths.push(path.resolve(path.dirname(filePath), frontmatter.layout));
+    }
+
+
+    return layoutPaths;
+}
+async function isExcluded(inputPath, outputPath, configs, excludes, targetPath) {  // Same as returning null in `toIgnore` or # [EXCLUDE] in .ignore file
+    let ignoreStat = await configs?.toIgnore?.(inputPath, outputPath, targetPath);
+    return ignoreStat === null || Boolean(excludes?.ignores(path.relative(inputPath, targetPath)));
+}
+async function getPageDependencies(inputPath, filePath) {  // Dependencies of a page not found through imports
+    if (!filePath.endsWith(".mdx") || !fs.existsSync(filePath)) {
+        return [];
+    }
+
+    let frontmatter = matter(await fsp.readFile(filePath, "utf8")).data;
+    return getLayoutPaths(inputPath, filePath, frontmatter);
+}
+async function setupDependencyGraph(depGraph, inputPath, outputPath, configs, excludes) {  // Restores saved graph if build cache is used
+
+    // Get aliases from bundler settings
+    let defaultMdxSettings = { esbuildOptions: () => ({}) };
+    let modMdxSettings = await configs?.modBundleMDXSettings?.(inputPath, outputPath, defaultMdxSettings);
+    let aliases = modMdxSettings?.esbuildOptions?.({})?.alias ?? {};
+    depGraph.setAlias(aliases);
+
+
+    // Create graph, Only files changed since graph was last saved are analysed if restoring
+    const ignoreCheck = async (targetPath) => await isExcluded(inputPath, outputPath, configs, excludes, targetPath);
+    depGraph.setExtraDependencies(async (filePath) => {
+        try {
+            return await getPageDependencies(inputPath, filePath);
+        }
+        catch (err) {
+            log(`Could not get layouts of ${filePath} for dependency graph: ${err.message}`);  // e.g. invalid frontmatter, Reported again once the page is created
+            return [];
+        }
+    });
+    if (configs?.cache !== false) {
+        const graphFilePath = path.join(getCacheDir(inputPath, configs), GRAPH_FILE_NAME);
+        try {
+            const analysedCount = await depGraph.loadGraph(graphFilePath, inputPath, ignoreCheck);
+            log(`Restored dependency graph from ${graphFilePath}, analysed ${analysedCount} changed files`, !configs?.toBeVerbose);
+            return;
+        }
+        catch (err) {
+            log(`Could not load dependency graph from ${graphFilePath}, rebuilding: ${err.message}`);
+        }
+    }
+    await depGraph.createGraph(inputPath, ignoreCheck);
+}
+async function saveDependencyGraph(depGraph, inputPath, configs) {
+    if (configs?.cache !== false) {
+        await depGraph.saveGraph(path.join(getCacheDir(inputPath, configs), GRAPH_FILE_NAME));
+    }
+}
+function isCloneable(value) {  // i.e. can be sent to worker threads
+    try {
+        structuredClone(value);
+        return true;
+    }
+    catch (err) {
+        return false;
+    }
+}
+function createWorkerPool(configs) {  // Null if mdx is only rendered on main thread
+    return Number.isInteger(configs?.workers) && 1 < configs.workers ? new WorkerPool(MDX_WORKER_PATH, configs.workers) : null;
+}
+function getCacheDir(inputPath, configs) {
+    return configs?.cacheDir ?? getDefaultCacheDir(APP_NAME, inputPath);
+}
+function getOutputStateDir(inputPath, outputPath, configs) {  // Records of what was created in output path, Kept in cache directory (even if build cache is off) so they are not deployed
+    return path.join(getCacheDir(inputPath, configs), OUTPUTS_CACHE_DIR_NAME, hashContent(path.resolve(outputPath)).slice(0, 16));
+}
 async function createFile(filePath, fileContent = "") {
     let fileLocation = path.dirname(filePath)
     await fsp.mkdir(fileLocation, { recursive: true });
     await fsp.writeFile(filePath, fileContent);
 }
-async function startServer(hostDir, port, errorCallback) {  // Starts server at given port
+function getLanAddresses() {
+    return Object.values(os.networkInterfaces()).flat().filter(address => address && !address.internal && address.family === "IPv4").map(address => address.address);
+}
+function isWildcardHost(host) {  // i.e. listens on all network interfaces
+    return host === undefined || host === "" || host === "0.0.0.0" || host === "::";
+}
+function getServerUrls(host, port, protocol) {  // Urls at which server can be reached
+    const hosts = isWildcardHost(host) ? ["localhost", ...getLanAddresses()] : [host];
+    return hosts.map(h => `${protocol}://${net.isIPv6(h) ? `[${h}]` : h}:${port}/`);
+}
+async function getHttpsOptions(httpsConfig, host) {  // Certificate from configs, or self signed one valid for host & LAN addresses
+    if (httpsConfig === true) {
+        const names = isWildcardHost(host) ? getLanAddresses() : [host];
+        return await getSelfSignedCertificate(path.join(getCacheRoot(APP_NAME), CERTIFICATES_DIR_NAME), names);
+    }
+
+    return await readCertificate(httpsConfig);
+}
+async function getServerOptions(configs) {  // Returns { host, port, httpsOptions }, null if any of them is unusable
+
+    // Get host & port, Port is checked on chosen host
+    const host = configs?.host;
+    const port = configs?.port ?? await getAvailablePort(DEFAULT_PORT, MAX_PORT, host);
+    if (port === -1) {
+        log(`Could not find any available ports`);
+        return null;
+    }
+    else if (!Number.isInteger(port)) {
+        log(`Invalid port`)
+        return null;
+    }
+
+
+    // Get https certificate
+    let httpsOptions = null;
+    if (configs?.https) {
+        try {
+            httpsOptions = await getHttpsOptions(configs.https, host);
+        }
+        catch (err) {
+            log(`Failed to setup https: ${err.message}`);
+            return null;
+        }
+    }
+
+
+    return { host, port, httpsOptions };
+}
+async function startServer(hostDir, port, errorCallback, { liveReload = null, buildErrors = null, getRedirects = null, getDraft = null, headers = {}, serverMiddleware = null, host = undefined, httpsOptions = null, preview = false, i18n = null } = {}) {  // Starts server at given port, `preview` serves files as they would be deployed
 
     // Make sure host dir path is absolute
     hostDir = path.resolve(hostDir);
 
 
-    // Start Server
-    const assets = sirv(hostDir, { dev: true });
-    const newApp = polka({
+    // Compile header patterns from configs once instead of on every request
+    const compiledHeaders = compileHeaders(headers);
+
+
+    // Setup serving files, Used once no route added by middleware from configs matches
+    const assets = preview
+        ? sirv(hostDir, { etag: true, gzip: true, brotli: true, setHeaders: (res, pathname) => { res.setHeader('Cache-Control', res.getHeader('Cache-Control') ?? getCacheControl(pathname)); } })
+        : sirv(hostDir, { dev: true });
+    const compressResponse = compression();
+    const fileServer = polka({
         onNoMatch: async (req, res) => {  // Send 404 file if found else not found message
             const file404 = path.join(hostDir, FILE_404);
             if (fs.existsSync(file404)) {
-                const content = await fsp.readFile(file404);
+                let content = await fsp.readFile(file404);
+                content = liveReload !== null ? Buffer.from(injectLiveReloadScript(content)) : content;
                 res.writeHead(404, {
-                    'Content-Type': 'text/html',
-                    'Content-Length': content.length
+                    'Content-Type': 'text/html;charset=utf-8',
+                    'Content-Length': content.length,
+                    'Cache-Control': res.getHeader('Cache-Control') ?? 'no-cache'
                 });
                 res.end(content);
             } else {
-                res.statusCode = 404;
+                res.writeHead(404, {
+                    'Content-Type': 'text/plain;charset=utf-8',
+                    'Content-Length': Buffer.byteLength(NOT_FOUND_404_MESSAGE),
+                    'Cache-Control': res.getHeader('Cache-Control') ?? 'no-cache'
+                });
                 res.end(NOT_FOUND_404_MESSAGE);
             }
         }
-    }).use((req, res, next) => {  // Add trailing slash
+    });
+
+
+    // Start Server, over https if certificate given
+    const newApp = polka({
+        server: httpsOptions !== null ? https.createServer(httpsOptions) : undefined,
+        onNoMatch: (req, res) => fileServer.handler(req, res)
+    }).use((req, res, next) => {  // Compress responses on the fly in preview, Files with precompressed .br or .gz versions are sent as is
+        return preview ? compressResponse(req, res, next) : next();
+    }).use((req, res, next) => {  // Serve live reload event stream
+        if (liveReload !== null && req.path === LIVE_RELOAD_ROUTE) {
+            return liveReload.handleRequest(req, res);
+        }
+        next();
+    }).use((req, res, next) => {  // Apply redirect rules, These take precedence over files
+        const redirect = matchRedirect(getRedirects?.() ?? [], req.path);
+        if (redirect === undefined) {
+            return next();
+        }
+
+        res.writeHead(redirect.status, { Location: redirect.location });
+        res.end();
+    }).use((req, res, next) => {  // Redirect root to locale preferred by browser, unless a page exists at root
+        if (i18n === null || req.path !== "/" || resolveFilePath(hostDir, "/") !== "") {
+            return next();
+        }
+
+        const locale = getPreferredLocale(req.headers["accept-language"], i18n.locales, i18n.defaultLocale);
+        res.writeHead(302, { Location: `/${encodeURIComponent(locale)}/`, Vary: "Accept-Language" });
+        res.end();
+    }).use((req, res, next) => {  // Set headers from configs, Kept by static responses
+        Object.entries(getMatchingHeaders(compiledHeaders, req.path)).forEach(([name, value]) => res.setHeader(name, value));
+        next();
+    });
+
+
+    // Add middleware & routes from configs, before any file is served
+    if (typeof serverMiddleware === "function") {
+        await serverMiddleware(newApp);
+    }
+    else if (Array.isArray(serverMiddleware)) {
+        serverMiddleware.forEach(handler => newApp.use(handler));
+    }
+
+
+    // Serve files
+    fileServer.use((req, res, next) => {  // Add trailing slash, or .html if only such a page exists
         if (1 < req.path.length && !req.path.endsWith('/') && !path.extname(req.path)) {
-            res.writeHead(301, { Location: req.path + '/' });
+            const hasHtmlPage = fs.existsSync(urlToHtmlPath(hostDir, `${req.path}.html`)) && !fs.existsSync(urlToHtmlPath(hostDir, `${req.path}/`));
+            res.writeHead(301, { Location: hasHtmlPage ? `${req.path}.html` : `${req.path}/` });
+            return res.end();
+        }
+        next();
+    }).use((req, res, next) => {  // Redirect .html urls to directory of same name, if only such a page exists (e.g. built with clean urls)
+        const htmlPath = urlToHtmlPath(hostDir, req.path);
+        const dirUrl = req.path.endsWith(".html") ? `${req.path.slice(0, -".html".length)}/` : "";
+        if (htmlPath !== "" && path.basename(htmlPath) !== "index.html" && !fs.existsSync(htmlPath) && fs.existsSync(urlToHtmlPath(hostDir, dirUrl))) {
+            res.writeHead(301, { Location: dirUrl });
             return res.end();
         }
         next();
+    }).use(async (req, res, next) => {  // Serve error overlay for pages which failed to build, on top of previous html if any
+        const htmlPath = urlToHtmlPath(hostDir, req.path);
+        const buildError = buildErrors?.get(htmlPath);
+        if (buildError === undefined) {
+            return next();
+        }
+
+        const previousHtml = fs.existsSync(htmlPath) ? await fsp.readFile(htmlPath, "utf8") : undefined;
+        let content = injectErrorOverlay(previousHtml, buildError);
+        content = Buffer.from(liveReload !== null ? injectLiveReloadScript(content) : content);
+        res.writeHead(500, {
+            'Content-Type': 'text/html',
+            'Content-Length': content.length,
+            'Cache-Control': 'no-cache'
+        });
+        res.end(content);
+    }).use(async (req, res, next) => {  // Inject live reload client script & banner of drafts into html pages, Created files are left as they would be deployed
+        if (liveReload === null && getDraft === null) {
+            return next();
+        }
+
+        const htmlPath = urlToHtmlPath(hostDir, req.path);
+        if (htmlPath === "" || !isPathInside(hostDir, htmlPath) || !fs.existsSync(htmlPath) || !fs.statSync(htmlPath).isFile()) {
+            return next();
+        }
+
+        let content = await fsp.readFile(htmlPath, "utf8");
+        const draftFrontmatter = getDraft?.(htmlPath);
+        content = draftFrontmatter !== undefined ? injectDraftBanner(content, draftFrontmatter) : content;
+        content = Buffer.from(liveReload !== null ? injectLiveReloadScript(content) : content);
+        res.writeHead(200, {
+            'Content-Type': 'text/html',
+            'Content-Length': content.length,
+            'Cache-Control': res.getHeader('Cache-Control') ?? 'no-cache'
+        });
+        res.end(content);
+    }).use((req, res, next) => {  // Answer conditional requests in preview, sirv only checks `If-None-Match`
+        const filePath = preview && (req.method === 'GET' || req.method === 'HEAD') ? resolveFilePath(hostDir, req.path) : "";
+        if (filePath === "") {
+            return next();
+        }
+
+        const stats = fs.statSync(filePath);
+        if (!isNotModified(req.headers, stats)) {
+            return next();
+        }
+
+        res.writeHead(304, {
+            'ETag': getETag(stats),
+            'Last-Modified': stats.mtime.toUTCString(),
+            'Cache-Control': res.getHeader('Cache-Control') ?? getCacheControl(filePath)
+        });
+        res.end();
     }).use(assets)
 
 
     // Start listening
-    newApp.listen(port)
+    newApp.listen(port, isWildcardHost(host) ? undefined : host)
     newApp.server.on("error", errorCallback);
 
 
     return newApp
 }
-async function isPortAvailable(port) {
+async function isPortAvailable(port, host = undefined) {
     const server = net.createServer();
     server.unref();
 
@@ -202,13 +543,13 @@ async function isPortAvailable(port) {
             server.close(() => resolve(true));
         });
 
-        server.listen(port);
+        server.listen(port, isWildcardHost(host) ? undefined : host);
     });
 }
-async function getAvailablePort(startPort = DEFAULT_PORT, maxPort = MAX_PORT) {
+async function getAvailablePort(startPort = DEFAULT_PORT, maxPort = MAX_PORT, host = undefined) {
     let currentPort = startPort;
     while (currentPort <= maxPort) {
-        if (await isPortAvailable(currentPort)) {
+        if (await isPortAvailable(currentPort, host)) {
             return currentPort;
         }
 
@@ -275,7 +616,33 @@ export async function emptyDir(dirPath) {
         await fsp.rm(fullPath, { recursive: true, force: true });
     }
 }
-export async function createSite(inputPath = "", outputPath = "", pathsToCreate = [], ignores = undefined, configs = undefined, interruptCondition = undefined) {
+function getSiblingPath(dirPath, suffix) {  // Hidden directory next to given one, i.e. on same device so it can be renamed into place
+    dirPath = path.resolve(dirPath);
+    return path.join(path.dirname(dirPath), `.${path.basename(dirPath)}${suffix}`);
+}
+async function swapDir(sourcePath, targetPath) {  // Replaces target directory with source directory
+
+    // Move target aside & source into its place
+    const previousPath = getSiblingPath(targetPath, PREVIOUS_DIR_SUFFIX);
+    await fsp.rm(previousPath, { recursive: true, force: true });
+    try {
+        await fsp.rename(targetPath, previousPath);
+        await fsp.rename(sourcePath, targetPath);
+    }
+    // Copy contents instead if target cannot be moved (e.g. is a mount point)
+    catch (err) {
+        if (!fs.existsSync(targetPath) && fs.existsSync(previousPath)) {
+            await fsp.rename(previousPath, targetPath);
+        }
+        await emptyDir(targetPath);
+        await fsp.cp(sourcePath, targetPath, { recursive: true });
+        await fsp.rm(sourcePath, { recursive: true, force: true });
+    }
+
+
+    await fsp.rm(previousPath, { recursive: true, force: true });
+}
+export async function createSite(inputPath = "", outputPath = "", pathsToCreate = [], ignores = undefined, configs = undefined, interruptCondition = undefined, pagesData = undefined, depGraph = undefined, mdxWorkerPool = undefined) {
 
     // Check `inputPath`
     inputPath = inputPath !== "" ? inputPath : process.cwd();
@@ -319,10 +686,29 @@ export async function createSite(inputPath = "", outputPath = "", pathsToCreate
     }
 
 
-    // Hard reload, clear output path & Get all paths from `inputPath`
+    // Check `pagesData` provided, Format { "path/to/input/file.mdx" : { filePath, htmlPath, urlPath, frontmatter, exports, html, indexEntry, queriedPages, pagesHash }, ... }
+    // Kept by caller across soft reloads so data of pages not being recreated is still available (e.g. for feeds)
+    if (!(pagesData instanceof Map)) {
+        pagesData = new Map();
+    }
+
+
+    // Hard reload, build into empty staging directory which replaces output path only once done & Get all paths from `inputPath`
+    // Pages data is also only replaced once done, so previous output & its data stay intact on failure or interruption
+    // Staging directory is only used for writing files, Hooks & globals are always given the final output path
     let isHardReloading = pathsToCreate == null;
+    const startTime = performance.now();
+    const report = createBuildReport(inputPath, outputPath, !isHardReloading);
+    const finalOutputPath = outputPath;
+    const stagingOutputPath = getSiblingPath(finalOutputPath, STAGING_DIR_SUFFIX);
+    const previousPagesData = pagesData;
+    const toFinalPath = (p) => p !== "" && isHardReloading ? path.join(finalOutputPath, path.relative(stagingOutputPath, p)) : p;
+    const toStagingPath = (p) => path.join(stagingOutputPath, path.relative(finalOutputPath, p));
     if (isHardReloading) {
-        await emptyDir(outputPath)
+        outputPath = stagingOutputPath;
+        await fsp.rm(outputPath, { recursive: true, force: true });  // Leftover of a previously failed build
+        await fsp.mkdir(outputPath, { recursive: true });
+        pagesData = new Map();
         pathsToCreate = await crawlDir(inputPath);
     }
 
@@ -343,135 +729,628 @@ export async function createSite(inputPath = "", outputPath = "", pathsToCreate
     }
 
 
-    // Setup concurrency limit
-    const concurrency = configs?.concurrency ?? 1;
+    // Load record of files created in output path, Hard reloads start a fresh one
+    const outputStateDir = getOutputStateDir(inputPath, finalOutputPath, configs);
+    const manifest = new OutputManifest(outputPath, path.join(outputStateDir, MANIFEST_FILE_NAME));
+    const hasManifest = isHardReloading || await manifest.load();
+
+
+    // Setup concurrency limit, Raised to number of workers so all of them are kept busy
+    const workers = Number.isInteger(configs?.workers) ? configs.workers : 1;
+    const concurrency = Math.max(configs?.concurrency ?? 1, workers);
     log(`Setting concurrency to ${concurrency}`, !toBeVerbose);
     const limit = pLimit(concurrency);
 
 
+    // Check if redirects changed, Done before filtering since redirects file is ignored
+    const toUpdateRedirects = isHardReloading || pathsToCreate.includes(path.join(inputPath, REDIRECTS_FILE_NAME));
+
+
+    // Setup locales, Pages of a locale are created inside its prefix (e.g. about.de.mdx as de/about.html) or of another for fallbacks
+    const i18n = getI18nOptions(configs?.i18n);
+    const getPageHtmlPath = (relToInput, slug, locale = undefined) => {
+        const localePath = i18n !== null ? parseLocalePath(relToInput, i18n) : undefined;
+        const localizedPath = localePath !== undefined ? getLocalizedPath(localePath.key, locale ?? localePath.locale) : relToInput;
+        return getHtmlPath(outputPath, localizedPath, slug, configs?.cleanUrls === true);
+    };
+
+
     // Filter out paths based on ignore
-    const filterResults = await Promise.all(pathsToCreate.map(async (currentPath) => limit(async () => {
-        // Filter out input path itself if passed
-        if (inputPath === currentPath) {
-            return false;
-        }
+    const includeDrafts = configs?.includeDrafts === true;
+    const buildDate = new Date();  // Same for every page, so a page scheduled mid build is not half published
+    const skippedDrafts = new Set();
+    const filterPaths = async (paths) => {
+        const filterResults = await Promise.all(paths.map(async (currentPath) => limit(async () => {
+            // Filter out input path itself if passed
+            if (inputPath === currentPath) {
+                return false;
+            }
 
 
-        // Filter based on .ignore file
-        const relToInput = path.relative(inputPath, currentPath);
-        if (ignores.ignores(relToInput)) {
-            return false;
-        }
+            // Filter based on .ignore file
+            const relToInput = path.relative(inputPath, currentPath);
+            if (ignores.ignores(relToInput)) {
+                return false;
+            }
 
 
-        // Filter based on toIgnore() in configs
-        const toBeIgnored = await configs?.toIgnore?.(inputPath, outputPath, currentPath);
-        if (toBeIgnored === true || toBeIgnored === null) {
-            return false;
-        }
+            // Filter based on toIgnore() in configs
+            const toBeIgnored = await configs?.toIgnore?.(inputPath, finalOutputPath, currentPath);
+            if (toBeIgnored === true || toBeIgnored === null) {
+                return false;
+            }
 
-        return true;
-    })));
-    pathsToCreate = pathsToCreate.filter((_, index) => filterResults[index]);
 
+            // Mark drafts & pages scheduled for later unless included, Kept so their previous output gets removed
+            const isPage = currentPath.endsWith(".mdx") && fs.existsSync(currentPath) && fs.statSync(currentPath).isFile();
+            if (!includeDrafts && isPage && isDraft(matter(await fsp.readFile(currentPath, "utf8")).data, buildDate)) {
+                skippedDrafts.add(currentPath);
+            }
+
+            return true;
+        })));
+        return paths.filter((_, index) => filterResults[index]);
+    };
+    pathsToCreate = await filterPaths(pathsToCreate);
 
-    // Return if no paths remaining to create after filtering for ignores
-    if (pathsToCreate.length === 0) {
+
+    // Return if no paths remaining to create after filtering for ignores, unless redirects changed
+    // Hard reloads still replace output with the (empty) staging directory
+    if (pathsToCreate.length === 0 && !toUpdateRedirects) {
         log(`Skipping site creation since no paths to create`, !toBeVerbose);
-        return;
+        return finishBuildReport(report, startTime);
     }
 
 
     // Modify rebuild paths based on configs
-    pathsToCreate = await configs?.modRebuildPaths?.(inputPath, outputPath, pathsToCreate) ?? pathsToCreate;
+    pathsToCreate = await configs?.modRebuildPaths?.(inputPath, finalOutputPath, pathsToCreate) ?? pathsToCreate;
+
+
+    // Fingerprint assets, Everything which may reference them is recreated on soft reload once any fingerprint changes
+    const toFingerprint = getFingerprintFilter(configs?.fingerprintAssets);
+    let assets = {};  // Format { "/static/styles.css" : "/static/styles.3f9a1c2b.css", ... }
+    if (toFingerprint !== null) {
+        const previousAssets = isHardReloading ? {} : await readAssetManifest(path.join(outputStateDir, ASSET_MANIFEST_FILE_NAME));
+        const changedPaths = previousAssets !== undefined ? pathsToCreate : await filterPaths(await crawlDir(inputPath));
+        assets = await updateAssets(previousAssets ?? {}, inputPath, changedPaths, toFingerprint);
+        const haveAssetsChanged = previousAssets === undefined || Object.keys(assets).length !== Object.keys(previousAssets).length || Object.entries(assets).some(([urlPath, fingerprintedPath]) => previousAssets[urlPath] !== fingerprintedPath);
+        if (!isHardReloading && haveAssetsChanged) {
+            const referencingPaths = manifest.getInputPaths().filter(p => /\.(mdx|css|html)$/.test(p)).map(p => path.join(inputPath, p));
+            pathsToCreate = [...new Set([...pathsToCreate, ...referencingPaths])];
+        }
+    }
+
+
+    // Setup build cache
+    const toUseCache = configs?.cache !== false;
+    const buildCache = toUseCache ? new BuildCache(getCacheDir(inputPath, configs)) : null;
+    const configsHash = toUseCache ? hashConfigs(configs, NON_OUTPUT_CONFIG_KEYS) : "";
+
+
+    // Collect metadata of every page for `hostmdxPages`, Exports are from the last time a page was rendered (this build, previous builds or build cache)
+    // Kept in pages data so soft reloads only read pages being recreated, Format { "path/to/input/file.mdx" : { filePath, urlPath, frontmatter, exports, headings, wordCount, locale }, ... }
+    const getIndexEntry = async (pagePath) => {
+        const relToInput = path.relative(inputPath, pagePath);
+        try {
+            const mdxCode = await fsp.readFile(pagePath, "utf8");
+            const htmlPath = getPageHtmlPath(relToInput, matter(mdxCode).data?.slug);
+            const exports = (pagesData.get(pagePath) ?? previousPagesData.get(pagePath))?.exports ?? (await buildCache?.peek(relToInput))?.result?.exports;
+            const locale = i18n !== null ? parseLocalePath(relToInput, i18n)?.locale : undefined;
+            return { ...createPageData(relToInput, getPagePath(outputPath, htmlPath), mdxCode, exports), ...(locale !== undefined && { locale }) };
+        }
+        catch (err) {
+            return undefined;  // e.g. deleted or invalid slug, Reported once the page itself is created
+        }
+    };
+    const indexEntries = new Map(isHardReloading ? [] : [...pagesData].filter(([, page]) => page.indexEntry !== undefined).map(([pagePath, page]) => [pagePath, page.indexEntry]));
+    const removedPaths = pathsToCreate.filter(p => !fs.existsSync(p));  // e.g. deleted directories along with pages inside them
+    pathsToCreate.forEach(p => indexEntries.delete(p));
+    [...indexEntries.keys()].filter(pagePath => removedPaths.some(p => isPathInside(p, pagePath))).forEach(pagePath => indexEntries.delete(pagePath));
+    const changedPagePaths = pathsToCreate.filter(p => p.endsWith(".mdx") && !skippedDrafts.has(p) && fs.existsSync(p) && fs.statSync(p).isFile());
+    await Promise.all(changedPagePaths.map((pagePath) => limit(async () => {
+        const indexEntry = await getIndexEntry(pagePath);
+        if (indexEntry !== undefined) {
+            indexEntries.set(pagePath, indexEntry);
+        }
+    })));
+    const getPagesIndex = () => [...indexEntries.keys()].sort().map(pagePath => ({ ...indexEntries.get(pagePath), exports: pagesData.get(pagePath)?.exports ?? indexEntries.get(pagePath).exports }));
+    let pagesIndex = getPagesIndex();
+    let pagesHash = hashContent(JSON.stringify(pagesIndex));
+
+
+    // Recreate pages which queried other pages once any page was added, removed or changed
+    if (!isHardReloading) {
+        const queryingPaths = [...pagesData.values()].filter(page => page.pagesHash !== undefined && page.pagesHash !== pagesHash).map(page => page.filePath);
+        pathsToCreate = [...new Set([...pathsToCreate, ...queryingPaths])];
+    }
+
+
+    // Group translations of pages, Format { "path/of/page.mdx" : { "en" : page, "de" : page, ... }, ... } keyed by path without locale
+    const localeRoutes = new Map();
+    for (const page of i18n !== null ? pagesIndex : []) {
+        const { locale, key } = parseLocalePath(page.filePath, i18n) ?? {};
+        if (key !== undefined) {
+            localeRoutes.set(key, (localeRoutes.get(key) ?? new Map()).set(locale, page));
+        }
+    }
+    const getAlternates = (key) => {  // Urls of page in every locale it is created for, Format [{ locale, urlPath, isFallback }, ...]
+        const translations = localeRoutes.get(key) ?? new Map();
+        const defaultPage = translations.get(i18n.defaultLocale);
+        return i18n.locales.filter(locale => translations.has(locale) || defaultPage !== undefined).map(locale => {
+            const page = translations.get(locale) ?? defaultPage;
+            return { locale, urlPath: getPagePath(outputPath, getPageHtmlPath(page.filePath, page.frontmatter?.slug, locale)), isFallback: !translations.has(locale) };
+        });
+    };
+
+
+    // Recreate translations of pages being recreated, since their alternates or fallbacks may have changed
+    if (!isHardReloading && i18n !== null) {
+        const translationPaths = pathsToCreate
+            .map(p => parseLocalePath(path.relative(inputPath, p), i18n)?.key)
+            .flatMap(key => [...(localeRoutes.get(key)?.values() ?? [])].map(page => path.join(inputPath, page.filePath)));
+        pathsToCreate = [...new Set([...pathsToCreate, ...translationPaths])];
+    }
+
+
+    // Setup image processing, Variants are kept in build cache
+    const imageOptions = getImageOptions(configs?.images);
+    const imageProcessor = imageOptions !== null ? new ImageProcessor(toUseCache ? path.join(getCacheDir(inputPath, configs), IMAGES_CACHE_DIR_NAME) : null, imageOptions) : null;
 
 
     // Broadcast site creation started
-    log(`Starting site creation at ${outputPath} ...`);
-    await configs?.onSiteCreateStart?.(inputPath, outputPath, !isHardReloading);
+    log(`Starting site creation at ${finalOutputPath} ...`);
+    await configs?.onSiteCreateStart?.(inputPath, finalOutputPath, !isHardReloading);
+
+
+    // Setup table of contents & heading anchors, Slugify function cannot be sent to workers so they take it from config file instead
+    const tocOptions = getTocOptions(configs?.toc);
+    const workerTocOptions = tocOptions !== null ? { ...tocOptions, slugify: undefined } : null;
+
+
+    // Setup worker pool for rendering mdx on other threads, Workers are only started once needed & a pool given by caller is kept across builds
+    const toCloseWorkerPool = mdxWorkerPool === undefined;
+    mdxWorkerPool = mdxWorkerPool ?? createWorkerPool(configs);
+    const configFilePath = path.join(inputPath, CONFIG_FILE_NAME);
+    let hasWarnedUncloneable = false;
+
+
+    // Bundle each layout once per build, Workers keep their own bundles for the build with this id
+    const layoutsCache = new Map();
+    const buildId = crypto.randomUUID();
 
 
     // Iterate & build all files
     let wasInterrupted = false;
-    await Promise.all(pathsToCreate.map((currentPath) => limit(async () => {
+    let sitemapChanges = new Map();  // Format { "path/to/output/file.html" : lastmod | null (to remove) }
+    const createPath = async (currentPath) => {
 
         // Check for interruption & return
-        wasInterrupted = wasInterrupted || await interruptCondition(inputPath, outputPath, currentPath);
+        wasInterrupted = wasInterrupted || await interruptCondition(inputPath, finalOutputPath, currentPath);
         if (wasInterrupted) {
             return;
         }
 
 
-        // Essentials
-        const pathExists = fs.existsSync(currentPath);
-        const relToInput = path.relative(inputPath, currentPath);
-        const absToOutput = path.join(outputPath, relToInput);
-        const isDir = pathExists ? fs.statSync(currentPath).isDirectory() : false;
-        const isMdx = currentPath.endsWith(".mdx");
-        const absHtmlPath = isMdx ? path.format({ ...path.parse(absToOutput), base: "", ext: ".html" }) : "";
+        // Build file & record its outcome, Failed files are reported without stopping the build
+        const fileStartTime = performance.now();
+        const fileReport = { inputPath: currentPath, outputPath: "", type: FileType.FILE, status: FileStatus.FAILED, durationMs: 0 };
+        report.files.push(fileReport);
+        try {
+            // Essentials
+            const pathExists = fs.existsSync(currentPath);
+            const relToInput = path.relative(inputPath, currentPath);
+            const absToOutput = path.join(outputPath, relToInput);
+            const isDir = pathExists ? fs.statSync(currentPath).isDirectory() : false;
+            const isMdx = currentPath.endsWith(".mdx");
+            const frontmatter = isMdx && pathExists && !isDir ? matter(await fsp.readFile(currentPath, "utf8")).data : {};
+            const isSkippedDraft = skippedDrafts.has(currentPath);
+            const localePath = isMdx && i18n !== null ? parseLocalePath(relToInput, i18n) : undefined;
+            const absHtmlPath = isMdx ? getPageHtmlPath(relToInput, frontmatter?.slug) : "";
+            const isCleanUrl = isMdx && path.parse(localePath?.key ?? relToInput).name !== "index" && path.basename(absHtmlPath) === "index.html";
+            const redirectStubPath = isCleanUrl && configs?.cleanUrlsRedirects === true ? `${path.dirname(absHtmlPath)}.html` : "";
+
+
+            // Delete if path does not exist or is a skipped draft
+            if (!pathExists || isSkippedDraft) {
+                let pathToDelete = isMdx ? absHtmlPath : absToOutput;
+                log(isSkippedDraft ? `Skipping draft ${currentPath}` : `Deleting ${pathToDelete}`, !toBeVerbose);
+                await configs?.onFileChangeStart?.(inputPath, finalOutputPath, currentPath, toFinalPath(pathToDelete), true);
+                const removedPaths = new Set([...manifest.delete(relToInput), ...(isMdx ? [pathToDelete] : [])]);
+                const otherCreatedPaths = manifest.getOutputPaths();  // e.g. a fallback page created again from default locale
+                for (const createdPath of [...removedPaths].filter(p => !otherCreatedPaths.has(p))) {
+                    await fsp.rm(createdPath, { force: true });
+                }
+                if (!hasManifest) {
+                    await fsp.rm(pathToDelete, { recursive: true, force: true });  // No record of created files, so remove everything
+                }
+                await removeEmptyDirs(isCleanUrl ? path.dirname(pathToDelete) : pathToDelete);
+                Object.assign(fileReport, { outputPath: pathToDelete, type: isMdx ? FileType.PAGE : FileType.FILE, status: isSkippedDraft ? FileStatus.SKIPPED : FileStatus.DELETED });
+                sitemapChanges.set(pathToDelete, null);
+                [...pagesData.keys()].filter(p => isPathInside(currentPath, p)).forEach(p => pagesData.delete(p));
+                await configs?.onFileChangeEnd?.(inputPath, finalOutputPath, currentPath, toFinalPath(pathToDelete), true, undefined);
+            }
+            // Make corresponding directory
+            else if (isDir) {
+                log(`Creating ${currentPath} ---> ${absToOutput}`, !toBeVerbose);
+                await configs?.onFileChangeStart?.(inputPath, finalOutputPath, currentPath, toFinalPath(absToOutput), false);
+                await fsp.mkdir(absToOutput, { recursive: true });
+                Object.assign(fileReport, { outputPath: absToOutput, type: FileType.DIRECTORY, status: FileStatus.CREATED });
+                await configs?.onFileChangeEnd?.(inputPath, finalOutputPath, currentPath, toFinalPath(absToOutput), false, undefined);
+            }
+            // Make html file from mdx
+            else if (isMdx) {
+
+                // Pages are created for their own locale & for every locale without a translation of them (falling back to default locale)
+                const targetLocales = localePath !== undefined ? getLocaleTargets(localePath.key, localePath.locale, new Set(localeRoutes.get(localePath.key)?.keys()), i18n) : [undefined];
+                const createdPaths = [];
+                let pageResult = undefined;
+                let pageImages = undefined;
+                let wasCached = true;
+                Object.assign(fileReport, { outputPath: absHtmlPath, type: FileType.PAGE });
+                for (const locale of targetLocales) {
+                    const isOwnLocale = locale === localePath?.locale;
+                    const targetHtmlPath = isOwnLocale ? absHtmlPath : getPageHtmlPath(relToInput, frontmatter?.slug, locale);
+                    const targetStubPath = redirectStubPath !== "" ? `${path.dirname(targetHtmlPath)}.html` : "";
+                    const cacheEntryName = isOwnLocale ? relToInput : `${relToInput}:${locale}`;
+
+
+                    // Broadcast file creation started
+                    log(`Creating ${currentPath} ---> ${targetHtmlPath}`, !toBeVerbose);
+                    await configs?.onFileChangeStart?.(inputPath, finalOutputPath, currentPath, toFinalPath(targetHtmlPath), false);
+
+
+                    // Intercept mdx code
+                    let mdxCode = await fsp.readFile(currentPath, "utf8");
+                    log(`Modifying mdx code of ${currentPath}`, !toBeVerbose || !configs?.modMDXCode);
+                    mdxCode = await configs?.modMDXCode?.(inputPath, finalOutputPath, currentPath, toFinalPath(targetHtmlPath), mdxCode) ?? mdxCode;
+
+
+                    // convert mdx code into html & paste into file, Localized pages also get their locale & urls of their translations
+                    let parentDir = path.dirname(currentPath);
+                    let alternates = localePath !== undefined ? getAlternates(localePath.key) : [];
+                    let globalArgs = { hostmdxCwd: parentDir, hostmdxInputPath: inputPath, hostmdxOutputPath: finalOutputPath, hostmdxAssets: assets, hostmdxPages: pagesIndex, ...(i18n !== null && { hostmdxLocale: locale ?? i18n.defaultLocale, hostmdxAlternates: alternates }) };
+                    globalArgs = await configs?.modGlobalArgs?.(inputPath, finalOutputPath, globalArgs) ?? globalArgs;
+                    let layoutPaths = getLayoutPaths(inputPath, currentPath, frontmatter);
+
+
+                    // Get from build cache if page & none of its dependencies changed, Pages which queried other pages also need the same pages metadata
+                    // Pages are only recreated for changes to assets they read from `hostmdxAssets`, not to every asset
+                    let cacheKey = "";
+                    let cached = undefined;
+                    if (toUseCache) {
+                        cacheKey = buildCache.getKey(mdxCode, [configsHash, hashConfigs(globalArgs, ["hostmdxPages", "hostmdxAssets"]), relToInput, path.relative(outputPath, targetHtmlPath), layoutPaths]);
+                        cached = await buildCache.get(cacheEntryName, cacheKey);
+                        const hasPagesChanged = cached?.result?.queriedPages !== undefined && cached.pagesHash !== pagesHash;
+                        const hasAssetsChanged = Object.entries(cached?.assets ?? {}).some(([urlPath, fingerprintedPath]) => (assets[urlPath] ?? null) !== fingerprintedPath);
+                        cached = hasPagesChanged || hasAssetsChanged ? undefined : cached;
+                        log(`Using cached html of ${currentPath}`, !toBeVerbose || cached === undefined);
+                    }
+
+
+                    // Render if not cached
+                    let result = cached?.result;
+                    let htmlDocument = cached?.htmlDocument;
+                    if (cached === undefined) {
+                        const toRenderOnWorker = mdxWorkerPool !== null && isCloneable(globalArgs);  // Global args with functions (e.g. from `modGlobalArgs`) are rendered on main thread
+                        if (mdxWorkerPool !== null && !toRenderOnWorker && !hasWarnedUncloneable) {
+                            log(`Rendering pages on main thread since their global args cannot be sent to workers, e.g. ${currentPath}`);
+                            hasWarnedUncloneable = true;
+                        }
+                        result = toRenderOnWorker
+                            ? await mdxWorkerPool.run({ mdxCode, baseUrl: parentDir, globalArgs, layoutPaths, tocOptions: workerTocOptions, inputPath, outputPath: finalOutputPath, configFilePath, buildId })
+                            : await mdxToHtml(mdxCode, parentDir, globalArgs, async (settings) => { return await configs?.modBundleMDXSettings?.(inputPath, finalOutputPath, settings) ?? settings }, layoutPaths, tocOptions, layoutsCache);
+                        result = toCachedValue({ ...result, exports: getPlainExports(result.exports), dependencies: [...new Set([...result.dependencies, ...layoutPaths])] });  // Same as taken from build cache, so hooks get the same result either way
+                        htmlDocument = createHtmlDocument(result.html, mergeHeadTags(createAlternateTags(alternates, i18n?.defaultLocale, configs?.siteUrl), result.head), configs?.head ?? []);
+                    }
+
+
+                    // Create responsive variants of local images, Done before fingerprinting rewrites their urls
+                    let images = { html: htmlDocument, sourcePaths: [], variantPaths: [] };
+                    if (imageProcessor !== null) {
+                        images = await imageProcessor.processHtml(htmlDocument, targetHtmlPath, inputPath, outputPath, (sourcePath, err) => { log(`Failed to process image ${sourcePath} used in ${currentPath}: ${err.message}`); });
+                    }
+
+
+                    // Rewrite references to fingerprinted assets
+                    let pageHtml = toFingerprint !== null ? rewriteFile(images.html, targetHtmlPath, assets, outputPath) : images.html;
+
+
+                    // Write page & record created files
+                    await createFile(targetHtmlPath, pageHtml);
+                    if (targetStubPath !== "") {
+                        await createFile(targetStubPath, createRedirectHtml(`${encodeURIComponent(path.basename(path.dirname(targetHtmlPath)))}/`));
+                    }
+                    createdPaths.push(...[targetHtmlPath, targetStubPath, ...images.variantPaths].filter(p => p !== ""));
+
+
+                    // Add to build cache
+                    if (toUseCache && cached === undefined) {
+                        let usedFingerprints = Object.fromEntries(result.usedAssets.map(urlPath => [urlPath, assets[urlPath] ?? null]));
+                        await buildCache.set(cacheEntryName, cacheKey, { htmlDocument, pagesHash, assets: usedFingerprints, result }, result.dependencies);
+                    }
+
+
+                    // Add to sitemap unless opted out
+                    let isInSitemap = frontmatter?.sitemap !== false && path.relative(outputPath, targetHtmlPath) !== FILE_404;
+                    sitemapChanges.set(targetHtmlPath, isInSitemap ? (await fsp.stat(currentPath)).mtime.toISOString() : null);
+
+
+                    // Broadcast file creation ended, Page created for its own locale is the one kept in page data
+                    wasCached = wasCached && cached !== undefined;
+                    pageResult = isOwnLocale ? result : pageResult;
+                    pageImages = isOwnLocale ? images : pageImages;
+                    await configs?.onFileChangeEnd?.(inputPath, finalOutputPath, currentPath, toFinalPath(targetHtmlPath), false, result);
+                }
+                await manifest.update(relToInput, createdPaths);
+
+
+                // Update dependency graph with files found while bundling, Images, queried pages & assets read are added so editing one recreates pages using it
+                const queriedPaths = (pageResult.queriedPages ?? []).map(p => path.join(inputPath, p));
+                const assetPaths = (pageResult.usedAssets ?? []).filter(urlPath => assets[urlPath] !== undefined).map(urlPath => path.join(inputPath, urlPath));
+                await depGraph?.setDependencies(currentPath, [...(pageResult.dependencies ?? []), ...pageImages.sourcePaths, ...queriedPaths, ...assetPaths]);
+
+
+                // Store page data
+                pagesData.set(currentPath, {
+                    filePath: currentPath,
+                    htmlPath: absHtmlPath,
+                    urlPath: getPagePath(outputPath, absHtmlPath),
+                    frontmatter: pageResult.frontmatter ?? {},
+                    exports: getPlainExports(pageResult.exports),
+                    html: pageResult.html,
+                    indexEntry: indexEntries.has(currentPath) ? { ...indexEntries.get(currentPath), exports: getPlainExports(pageResult.exports) } : undefined,
+                    queriedPages: queriedPaths,
+                    pagesHash: pageResult.queriedPages !== undefined ? pagesHash : undefined
+                });
+                fileReport.status = wasCached ? FileStatus.CACHED : FileStatus.CREATED;
+            }
+            // Copy paste file, Under its fingerprinted name if any & with references to fingerprinted assets rewritten
+            else {
+                const fingerprintedPath = assets[toUrlPath(relToInput)];
+                const absCopyPath = fingerprintedPath !== undefined ? path.join(outputPath, fingerprintedPath) : absToOutput;
+                log(`Creating ${currentPath} ---> ${absCopyPath}`, !toBeVerbose);
+                await configs?.onFileChangeStart?.(inputPath, finalOutputPath, currentPath, toFinalPath(absCopyPath), false);
+                await fsp.mkdir(path.dirname(absCopyPath), { recursive: true });
+                if (toFingerprint !== null && /\.(css|html)$/.test(currentPath)) {
+                    await fsp.writeFile(absCopyPath, rewriteFile(await fsp.readFile(currentPath, "utf8"), absCopyPath, assets, outputPath));
+                }
+                else {
+                    await fsp.copyFile(currentPath, absCopyPath);
+                }
+                await manifest.update(relToInput, [absCopyPath]);
+                Object.assign(fileReport, { outputPath: absCopyPath, status: FileStatus.COPIED });
+                if (absCopyPath.endsWith(".html")) {
+                    sitemapChanges.set(absCopyPath, (await fsp.stat(currentPath)).mtime.toISOString());
+                }
+                await configs?.onFileChangeEnd?.(inputPath, finalOutputPath, currentPath, toFinalPath(absCopyPath), false, undefined);
+            }
+        }
+        catch (err) {
+            fileReport.status = FileStatus.FAILED;
+            fileReport.error = getErrorDetails(err, currentPath);
+            log(`Failed to create ${currentPath}: ${formatError(fileReport.error)}`);
+        }
+        fileReport.durationMs = Math.round(performance.now() - fileStartTime);
+    };
+    try {
+        await Promise.all(pathsToCreate.map((currentPath) => limit(async () => await createPath(currentPath))));
+
+
+        // Recreate pages which queried other pages once exports of those changed while creating them, Done once so pages querying each other cannot loop
+        const previousPagesHash = pagesHash;
+        const hasQueriedPages = [...pagesData.values()].some(page => page.pagesHash === previousPagesHash);
+        if (!wasInterrupted && hasQueriedPages) {
+            pagesIndex = getPagesIndex();
+            pagesHash = hashContent(JSON.stringify(pagesIndex));
+        }
+        const queryingPaths = [...pagesData.values()].filter(page => page.pagesHash === previousPagesHash && previousPagesHash !== pagesHash).map(page => page.filePath);
+        if (queryingPaths.length !== 0) {
+            log(`Recreating ${queryingPaths.length} page(s) since exports of queried pages changed`, !toBeVerbose);
+            report.files = report.files.filter(file => !queryingPaths.includes(file.inputPath));
+            await Promise.all(queryingPaths.map((currentPath) => limit(async () => await createPath(currentPath))));
+        }
+    }
+    finally {
+        if (toCloseWorkerPool) {
+            await mdxWorkerPool?.close();
+        }
+    }
+
+
+    // Get previous output of failed files, Which they keep on hard reloads
+    const previousManifest = new OutputManifest(finalOutputPath, path.join(outputStateDir, MANIFEST_FILE_NAME));
+    const hasPreviousManifest = isHardReloading && await previousManifest.load();
+    const failedFiles = report.files.filter(file => file.status === FileStatus.FAILED);
+    const getPreviousPaths = (file) => hasPreviousManifest ? previousManifest.get(path.relative(inputPath, file.inputPath)) : [toFinalPath(file.outputPath)].filter(p => p !== "");
+
 
+    // Write redirect stubs for rules without patterns, Skipped where another file was created or exists
+    if (!wasInterrupted && toUpdateRedirects) {
+        const previousStubPaths = manifest.delete(REDIRECTS_FILE_NAME);
+        const createdPaths = manifest.getOutputPaths();
+        const stubPaths = [];
+        for (const rule of await readRedirects(inputPath, configs?.redirects)) {
+            const stubPath = getRedirectStubPath(outputPath, rule.from);
+            if (stubPath === "") {
+                log(`Skipping redirect stub for ${rule.from} since it is not a valid url path`);
+                continue;
+            }
+            const isTaken = stubPaths.includes(stubPath) || createdPaths.has(stubPath) || (fs.existsSync(stubPath) && !previousStubPaths.includes(stubPath));
+            if (!isStaticRedirect(rule) || !isPathInside(outputPath, stubPath) || isTaken) {
+                log(`Skipping redirect stub for ${rule.from}${isTaken ? ` since ${stubPath} already exists` : ""}`, !toBeVerbose);
+                continue;
+            }
 
-        // Delete if path does not exist
-        if (!pathExists) {
-            let pathToDelete = isMdx ? absHtmlPath : absToOutput;
-            log(`Deleting ${pathToDelete}`, !toBeVerbose);
-            await configs?.onFileChangeStart?.(inputPath, outputPath, currentPath, pathToDelete, true);
-            await fsp.rm(pathToDelete, { recursive: true, force: true });
-            await configs?.onFileChangeEnd?.(inputPath, outputPath, currentPath, pathToDelete, true, undefined);
+            await createFile(stubPath, createRedirectHtml(rule.to));
+            stubPaths.push(stubPath);
         }
-        // Make corresponding directory
-        else if (isDir) {
-            log(`Creating ${currentPath} ---> ${absToOutput}`, !toBeVerbose);
-            await configs?.onFileChangeStart?.(inputPath, outputPath, currentPath, absToOutput, false);
-            await fsp.mkdir(absToOutput, { recursive: true });
-            await configs?.onFileChangeEnd?.(inputPath, outputPath, currentPath, absToOutput, false, undefined);
+        manifest.set(REDIRECTS_FILE_NAME, previousStubPaths);
+        await manifest.update(REDIRECTS_FILE_NAME, stubPaths);
+    }
+
+
+    // Keep asset map for soft reloads, Written to output only if asked for since it maps every asset (also available as `hostmdxAssets` global)
+    if (!wasInterrupted && toFingerprint !== null) {
+        await writeAssetManifest(path.join(outputStateDir, ASSET_MANIFEST_FILE_NAME), assets);
+        if (configs?.assetManifest === true) {
+            manifest.add(SITE_ENTRY_NAME, [await writeAssetManifest(path.join(outputPath, ASSET_MANIFEST_FILE_NAME), assets)]);
         }
-        // Make html file from mdx
-        else if (isMdx) {
+    }
 
-            // Broadcast file creation started
-            log(`Creating ${currentPath} ---> ${absHtmlPath}`, !toBeVerbose);
-            await configs?.onFileChangeStart?.(inputPath, outputPath, currentPath, absHtmlPath, false);
 
+    // Update sitemap & robots.txt, Soft reloads only update changed pages
+    // Hard reloads recreate it, except for entries of failed pages which keep their previous ones
+    if (!wasInterrupted && configs?.siteUrl) {
+        log(`Updating ${SITEMAP_FILE_NAME} at ${outputPath}`, !toBeVerbose);
+        const previousEntries = isHardReloading && failedFiles.length !== 0 ? await readSitemap(path.join(finalOutputPath, SITEMAP_FILE_NAME)) : new Map();
+        for (const previousPath of failedFiles.flatMap(getPreviousPaths)) {
+            const pageUrl = getPageUrl(configs.siteUrl, finalOutputPath, previousPath);
+            if (previousEntries.has(pageUrl)) {
+                sitemapChanges.set(toStagingPath(previousPath), previousEntries.get(pageUrl));
+            }
+        }
+        await updateSitemap(configs.siteUrl, outputPath, sitemapChanges, isHardReloading);
+        manifest.add(SITE_ENTRY_NAME, [path.join(outputPath, SITEMAP_FILE_NAME)]);
+        if (configs?.robots) {
+            await createFile(path.join(outputPath, ROBOTS_FILE_NAME), createRobotsTxt(configs.siteUrl, configs.robots));
+            manifest.add(SITE_ENTRY_NAME, [path.join(outputPath, ROBOTS_FILE_NAME)]);
+        }
+    }
 
-            // Intercept mdx code
-            let mdxCode = await fsp.readFile(currentPath, "utf8");
-            log(`Modifying mdx code of ${currentPath}`, !toBeVerbose || !configs?.modMDXCode);
-            mdxCode = await configs?.modMDXCode?.(inputPath, outputPath, currentPath, absHtmlPath, mdxCode) ?? mdxCode;
 
+    // Write feeds of collections which had pages changed
+    const collections = Object.entries(configs?.collections ?? {}).map(([name, collection]) => getCollection(name, collection));
+    if (!wasInterrupted && collections.length !== 0 && !configs?.siteUrl) {
+        log(`Skipping feeds since no siteUrl provided`);
+    }
+    else if (!wasInterrupted) {
+        for (const collection of collections) {
+            const hasChanged = isHardReloading || pathsToCreate.some(p => !fs.existsSync(p) || isInCollection(collection, path.relative(inputPath, p)));
+            if (!hasChanged) {
+                continue;
+            }
 
-            // convert mdx code into html & paste into file
-            let parentDir = path.dirname(currentPath);
-            let globalArgs = { hostmdxCwd: parentDir, hostmdxInputPath: inputPath, hostmdxOutputPath: outputPath };
-            globalArgs = await configs?.modGlobalArgs?.(inputPath, outputPath, globalArgs) ?? globalArgs;
-            let result = await mdxToHtml(mdxCode, parentDir, globalArgs, async (settings) => { return await configs?.modBundleMDXSettings?.(inputPath, outputPath, settings) ?? settings });
-            let htmlCode = result.html;
-            await createFile(absHtmlPath, `<!DOCTYPE html>${htmlCode}`);
+            const pages = [...pagesData.values()].filter(page => isInCollection(collection, path.relative(inputPath, page.filePath)));
+            const feedPaths = await writeFeeds(configs.siteUrl, outputPath, collection, pages);
+            manifest.add(SITE_ENTRY_NAME, feedPaths);
+            feedPaths.forEach(p => log(`Created feed ${p}`, !toBeVerbose));
+        }
+    }
 
 
-            // Broadcast file creation ended
-            await configs?.onFileChangeEnd?.(inputPath, outputPath, currentPath, absHtmlPath, false, result);
+    // Replace output with staging directory, Failed files keep their previous output
+    if (isHardReloading && wasInterrupted) {
+        await fsp.rm(outputPath, { recursive: true, force: true });
+    }
+    else if (isHardReloading) {
+        for (const file of failedFiles) {
+            const relToInput = path.relative(inputPath, file.inputPath);
+            const previousPaths = getPreviousPaths(file);
+            for (const previousPath of previousPaths.filter(p => fs.existsSync(p) && !fs.existsSync(toStagingPath(p)))) {
+                await fsp.cp(previousPath, toStagingPath(previousPath), { recursive: true });
+            }
+            manifest.set(relToInput, previousPaths.map(toStagingPath));
+            if (previousPagesData.has(file.inputPath)) {
+                pagesData.set(file.inputPath, { ...previousPagesData.get(file.inputPath), htmlPath: toStagingPath(previousPagesData.get(file.inputPath).htmlPath) });
+            }
         }
-        // Copy paste file
-        else {
-            log(`Creating ${currentPath} ---> ${absToOutput}`, !toBeVerbose);
-            await configs?.onFileChangeStart?.(inputPath, outputPath, currentPath, absToOutput, false);
-            await fsp.mkdir(path.dirname(absToOutput), { recursive: true });
-            await fsp.copyFile(currentPath, absToOutput);
-            await configs?.onFileChangeEnd?.(inputPath, outputPath, currentPath, absToOutput, false, undefined);
+
+
+        // Keep files in output which were not created by host-mdx, Stale created ones are left out & so get removed
+        const previousCreatedPaths = previousManifest.getOutputPaths();
+        for (const existingPath of await crawlDir(finalOutputPath)) {
+            const stagingPath = toStagingPath(existingPath);
+            if (fs.existsSync(stagingPath) || existingPath === path.join(finalOutputPath, LEGACY_MANIFEST_FILE_NAME)) {
+                continue;
+            }
+            if (previousCreatedPaths.has(existingPath)) {
+                log(`Removing stale ${existingPath}`, !toBeVerbose);
+                continue;
+            }
+
+            await fsp.mkdir(path.dirname(stagingPath), { recursive: true });
+            await fsp.cp(existingPath, stagingPath);
         }
-    })));
+
+
+        log(`Swapping ${outputPath} ---> ${finalOutputPath}`, !toBeVerbose);
+        await swapDir(outputPath, finalOutputPath);
+        await manifest.save();
+        previousPagesData.clear();
+        pagesData.forEach((page, filePath) => previousPagesData.set(filePath, { ...page, htmlPath: toFinalPath(page.htmlPath) }));
+        report.files.forEach(file => { file.outputPath = toFinalPath(file.outputPath); });
+    }
+    else {
+        await manifest.save();
+    }
+    outputPath = finalOutputPath;
+
+
+    // Check created site for broken links, Reported along with build instead of failing it
+    if (!wasInterrupted && configs?.checkLinks === true) {
+        report.brokenLinks = await checkSiteLinks(inputPath, outputPath, configs);
+    }
 
 
     // Broadcast site creation ended
-    log(wasInterrupted ? `Site creation was interrupted!` : `Completed site creation at ${outputPath}`);
-    await configs?.onSiteCreateEnd?.(inputPath, outputPath, !isHardReloading, wasInterrupted);
+    finishBuildReport(report, startTime);
+    const { files, failed } = report.totals;
+    log(wasInterrupted ? `Site creation was interrupted!` : `Completed site creation at ${outputPath}, ${files} files in ${report.durationMs}ms${failed !== 0 ? `, ${failed} failed` : ""}`);
+    await configs?.onSiteCreateEnd?.(inputPath, outputPath, !isHardReloading, wasInterrupted, report);
 
 
     // Throw error on interruption, This was done to make sure `alteredPaths` retains old values
     if (wasInterrupted) {
         throw new Error(`Site creation interrupted!`);
     }
+
+
+    return report;
+}
+
+
+export async function checkSiteLinks(inputPath, outputPath, configs = undefined) {  // Broken local links & missing assets in created site, Also usable as a post-build step
+
+    // Links matching a redirect are not broken, Only local urls are checked since builds may run offline
+    log(`Checking links in ${outputPath}`, configs?.toBeVerbose !== true);
+    const redirects = await readRedirects(inputPath, configs?.redirects);
+    const brokenLinks = await checkLinks(outputPath, inputPath, redirects, path.join(getOutputStateDir(inputPath, outputPath, configs), MANIFEST_FILE_NAME));
+
+
+    brokenLinks.forEach(brokenLink => log(`Broken link in ${formatBrokenLink(brokenLink)}`));
+    log(`Found ${brokenLinks.length} broken link(s)`, brokenLinks.length === 0);
+    return brokenLinks;
+}
+export async function serveSite(hostDir, configs = {}) {  // Serves an already created site the way it would be deployed, Returns server app or null if failed to start
+
+    // Make sure site exists
+    hostDir = path.resolve(hostDir);
+    if (!fs.existsSync(hostDir) || !fs.statSync(hostDir).isDirectory()) {
+        log(`Directory ${hostDir} does not exist`);
+        return null;
+    }
+
+
+    // Get host, port & https certificate
+    const serverOptions = await getServerOptions(configs);
+    if (serverOptions === null) {
+        return null;
+    }
+    const { host, port, httpsOptions } = serverOptions;
+
+
+    // Start server
+    const app = await startServer(hostDir, port, (e) => { log(`Failed to start server: ${e.message}`); }, {
+        headers: configs?.headers,
+        host,
+        httpsOptions,
+        preview: true
+    });
+    const urls = getServerUrls(host, port, httpsOptions !== null ? "https" : "http");
+    log(`Serving ${hostDir} at ${port}, reachable at:\n${urls.map(url => `  ${url}`).join("\n")}`);
+
+
+    return app;
 }
 
 
@@ -484,11 +1363,16 @@ export class HostMdx {
     #siteCreationStatus = SiteCreationStatus.NONE;
     #pendingHardSiteCreation = false;
     #alteredPaths = [];
+    #pagesData = new Map();
     #app = null;
+    #liveReload = null;
+    #buildErrors = new Map();  // Format { "path/to/output/file.html" : { inputPath, message, file, line, column, codeFrame, ... }, ... }
+    #redirects = [];  // Format [{ from, to, status }, ...]
     #watcher = null;
     #ignores = null;
     #excludes = null;
     #depGraph = new DependencyGraph();
+    #mdxWorkerPool = null;
 
 
     // Constructors
@@ -500,6 +1384,32 @@ export class HostMdx {
 
 
     // Private Methods
+    async #toExclude(targetPath) {
+        return await isExcluded(this.inputPath, this.outputPath, this.configs, this.#excludes, targetPath);
+    }
+    async #updateBuildErrors(report) {
+
+        // Clear errors of files which were rebuilt, All of them on hard reload
+        const builtPaths = new Set(report.files.map(file => file.inputPath));
+        for (const [htmlPath, buildError] of this.#buildErrors) {
+            if (!report.isSoftReload || builtPaths.has(buildError.inputPath)) {
+                this.#buildErrors.delete(htmlPath);
+            }
+        }
+
+
+        // Add errors of pages which failed, along with code frame around failing line
+        const failedPages = report.files.filter(file => file.status === FileStatus.FAILED && file.type === FileType.PAGE && file.outputPath !== "");
+        for (const file of failedPages) {
+            const source = fs.existsSync(file.error.file) ? await fsp.readFile(file.error.file, "utf8") : "";
+            const codeFrame = createCodeFrame(source, file.error.line, file.error.column);
+            this.#buildErrors.set(file.outputPath, { ...file.error, inputPath: file.inputPath, codeFrame });
+        }
+    }
+    #getDraft(htmlPath) {  // Frontmatter of draft created at html path, undefined if not a draft
+        const page = [...this.#pagesData.values()].find(page => page.htmlPath === htmlPath);
+        return page !== undefined && isDraft(page.frontmatter) ? page.frontmatter : undefined;
+    }
     async #watchForChanges(event, targetPath) {
 
         // Skip reload if `toIgnore` gives null
@@ -531,6 +1441,17 @@ export class HostMdx {
         this.#alteredPaths = this.#alteredPaths.concat([...dependencies, targetPath]);
 
 
+        // Adding or removing a layout affects all pages under its directory
+        let isLayout = path.basename(targetPath) === LAYOUT_FILE_NAME;
+        if (isLayout && (event === "add" || event === "unlink")) {
+            let pagePaths = (await crawlDir(path.dirname(targetPath), async (p) => await this.#toExclude(p))).filter(p => p.endsWith(".mdx"));
+            for (const pagePath of pagePaths) {
+                await this.#depGraph.addEntry(pagePath);
+            }
+            this.#alteredPaths = this.#alteredPaths.concat(pagePaths);
+        }
+
+
         // Reflect changes immediately
         if (this.configs?.trackChanges !== undefined && this.configs?.trackChanges != TrackChanges.NONE) {
             let toHardReload = this.configs?.trackChanges == TrackChanges.HARD;
@@ -565,16 +1486,24 @@ export class HostMdx {
         let doesConfigFileExists = fs.existsSync(configFilePath);
         log(`Importing config file ${configFilePath}`, !doesConfigFileExists);
         this.configs = { ...(await setupConfigs(this.inputPath)), ...this.configs };
+        this.configs.includeDrafts = this.configs.includeDrafts ?? this.configs.preview !== true;  // Drafts are shown while hosting, unless previewing the site as deployed
 
 
-        // Get port
-        let port = this.configs?.port ?? await getAvailablePort();
-        if (port === -1) {
-            log(`Could not find any available ports`);
+        // Get host, port & https certificate
+        let serverOptions = await getServerOptions(this.configs);
+        if (serverOptions === null) {
             return false;
         }
-        else if (!Number.isInteger(port)) {
-            log(`Invalid port`)
+        let { host, port, httpsOptions } = serverOptions;
+
+
+        // Get locales, Invalid ones stop hosting the same as invalid server options
+        let i18n = null;
+        try {
+            i18n = getI18nOptions(this.configs?.i18n);
+        }
+        catch (err) {
+            log(err.message);
             return false;
         }
 
@@ -592,26 +1521,44 @@ export class HostMdx {
         await this.configs?.onHostStarting?.(this.inputPath, this.outputPath, port);
 
 
+        // Create dependency graph, Done before site creation since build cache relies on it
+        await setupDependencyGraph(this.#depGraph, this.inputPath, this.outputPath, this.configs, this.#excludes);
+
+
+        // Start worker pool, Kept across builds so workers do not import configs & bundler again on every change
+        this.#mdxWorkerPool = createWorkerPool(this.configs);
+
+
         // Delete old files & Create site
         await this.recreateSite(true);
 
 
-        // Create dependency graph 
-        let defaultMdxSettings = { esbuildOptions: () => ({}) };
-        let modMdxSettings = await this.configs?.modBundleMDXSettings?.(this.inputPath, this.outputPath, defaultMdxSettings);
-        let aliases = modMdxSettings?.esbuildOptions?.({})?.alias ?? {};
-        this.#depGraph.setAlias(aliases);
-        await this.#depGraph.createGraph(this.inputPath, async (targetPath) => (await this.configs?.toIgnore?.(this.inputPath, this.outputPath, targetPath)) === null || this.#excludes?.ignores(path.relative(this.inputPath, targetPath)));
+        // Setup live reload, Not used in preview since the site is served as deployed
+        let isPreview = this.configs?.preview === true;
+        this.#liveReload = this.configs?.liveReload !== false && !isPreview ? new LiveReload(this.outputPath) : null;
 
 
         // Start server to host site
-        this.#app = await startServer(this.outputPath, port, (e) => { log(`Failed to start server: ${e.message}`); });
+        this.#app = await startServer(this.outputPath, port, (e) => { log(`Failed to start server: ${e.message}`); }, {
+            liveReload: this.#liveReload,
+            buildErrors: isPreview ? null : this.#buildErrors,
+            getRedirects: () => this.#redirects,
+            getDraft: isPreview ? null : (htmlPath) => this.#getDraft(htmlPath),
+            headers: this.configs?.headers,
+            serverMiddleware: typeof this.configs?.serverMiddleware === "function"
+                ? async (app) => await this.configs.serverMiddleware(app, this.inputPath, this.outputPath)
+                : this.configs?.serverMiddleware,
+            host,
+            httpsOptions,
+            preview: isPreview,
+            i18n: isPreview ? null : i18n
+        });
         this.#app?.server?.on("close", async () => { await this.configs?.onHostEnded?.(this.inputPath, this.outputPath, port); });
 
 
-        // Watch for changes
+        // Watch for changes, Preview serves the site as created once
         let chokidarOptions = { ...DEFAULT_CHOKIDAR_OPTIONS, ...(this.configs?.chokidarOptions ?? {}) };
-        this.#watcher = chokidar.watch(this.inputPath, chokidarOptions).on("all", async (event, targetPath) => { await this.#watchForChanges(event, targetPath) });
+        this.#watcher = isPreview ? null : chokidar.watch(this.inputPath, chokidarOptions).on("all", async (event, targetPath) => { await this.#watchForChanges(event, targetPath) });
 
 
         // Broadcast hosting started
@@ -619,7 +1566,8 @@ export class HostMdx {
 
 
         // Load as started
-        log(`Server listening at ${port} ...`);
+        let urls = getServerUrls(host, port, httpsOptions !== null ? "https" : "http");
+        log(`${isPreview ? "Preview server" : "Server"} listening at ${port}, reachable at:\n${urls.map(url => `  ${url}`).join("\n")}`);
 
 
         return true;
@@ -650,7 +1598,14 @@ export class HostMdx {
         let pathsToCreate = hardReload ? null : [...new Set(this.#alteredPaths)];
         try {
             this.#alteredPaths = [];
-            await createSite(this.inputPath, this.outputPath, pathsToCreate, this.#ignores, this.configs, () => this.#siteCreationStatus != SiteCreationStatus.ONGOING);
+            let report = await createSite(this.inputPath, this.outputPath, pathsToCreate, this.#ignores, this.configs, () => this.#siteCreationStatus != SiteCreationStatus.ONGOING, this.#pagesData, this.#depGraph, this.#mdxWorkerPool);
+            let failedPaths = report.files.filter(file => file.status === FileStatus.FAILED).map(file => file.inputPath);
+            this.#alteredPaths = [...new Set([...failedPaths, ...this.#alteredPaths])];  // Readd failed files so they are retried on next change
+            await this.#updateBuildErrors(report);
+            this.#redirects = await readRedirects(this.inputPath, this.configs?.redirects);
+            let alteredOutputPaths = report.files.filter(file => file.type !== FileType.DIRECTORY && file.outputPath !== "").map(file => file.outputPath);  // Failed pages included so their error overlay shows up
+            this.#liveReload?.reload(hardReload ? null : alteredOutputPaths);  // Reload all open tabs on hard reload
+            await saveDependencyGraph(this.#depGraph, this.inputPath, this.configs);
         }
         catch (err) {
             this.#alteredPaths = hardReload ? this.#alteredPaths : [...new Set([...pathsToCreate, ...this.#alteredPaths])];  // Readd incase of failure
@@ -684,11 +1639,21 @@ export class HostMdx {
         }
 
 
+        // Close live reload connections, otherwise server waits on them before closing
+        this.#liveReload?.close();
+        this.#liveReload = null;
+
+
         // Stop server       
         this.#app?.server?.close?.(); //(e) => { process.exit(); });
 
 
         // Stop watching for changes
         await this.#watcher?.close?.();
+
+
+        // Stop workers
+        await this.#mdxWorkerPool?.close();
+        this.#mdxWorkerPool = null;
     }
 }
\ No newline at end of file
@@ -0,0 +1,133 @@
+import fs from "fs";
+import path from "path";
+import { promises as fsp } from "fs";
+import { crawlDir } from "./dependency-graph.js";
+import { OutputManifest } from "./output-manifest.js";
+import { matchRedirect } from "./redirects.js";
+import { resolveFilePath } from "./preview.js";
+
+
+// Enums
+export const LinkError = Object.freeze({
+    MISSING_FILE: "missing file",
+    MISSING_ANCHOR: "missing anchor"
+});
+
+
+// Properties
+const LINK_ATTRIBUTE_REGEX = /\s(href|src|srcset|imagesrcset)\s*=\s*(["'])(.*?)\2/gi;
+const ID_ATTRIBUTE_REGEX = /\s(?:id|name)\s*=\s*(["'])(.*?)\1/gi;
+const EXTERNAL_URL_REGEX = /^([a-z][a-z\d+.-]*:|\/\/)/i;  // e.g. https://, mailto: or protocol relative urls, Skipped since builds may run offline
+const HTML_ENTITIES = { "&amp;": "&", "&quot;": "\"", "&#39;": "'", "&lt;": "<", "&gt;": ">" };
+
+
+// Methods
+function decodeEntities(text) {
+    return text.replace(/&(amp|quot|#39|lt|gt);/g, (entity) => HTML_ENTITIES[entity]);
+}
+function decodeFragment(fragment) {
+    try {
+        return decodeURIComponent(fragment);
+    }
+    catch (err) {
+        return fragment;
+    }
+}
+function getLineNumber(code, index) {
+    return code.slice(0, index).split("\n").length;
+}
+export function getLinks(html) {  // Local urls referenced in `href`, `src` & `srcset`, Format [{ url, line }, ...]
+    const links = [];
+    for (const match of String(html).matchAll(LINK_ATTRIBUTE_REGEX)) {
+        const isSrcset = match[1].toLowerCase().endsWith("srcset");
+        const urls = isSrcset ? match[3].split(",").map(candidate => candidate.trim().split(/\s+/)[0]) : [match[3].trim()];
+        urls.map(decodeEntities)
+            .filter(url => url !== "" && !EXTERNAL_URL_REGEX.test(url))
+            .forEach(url => links.push({ url, line: getLineNumber(html, match.index) }));
+    }
+
+    return links;
+}
+export function getAnchorIds(html) {  // Ids & names which `#fragment` can point to
+    return new Set([...String(html).matchAll(ID_ATTRIBUTE_REGEX)].map(match => decodeEntities(match[2])));
+}
+export function findSourceLine(sourceCode, url) {  // Line of first occurrence of url (or its path) in source, undefined if not found e.g. added by a layout
+    const candidates = [url, url.replace(/[?#].*$/, "")].filter(candidate => candidate !== "");
+    for (const candidate of candidates) {
+        const index = String(sourceCode).indexOf(candidate);
+        if (index !== -1) {
+            return getLineNumber(sourceCode, index);
+        }
+    }
+
+    return undefined;
+}
+export function resolveLink(url, htmlPath, outputPath) {  // Returns { filePath, fragment, urlPath }, `filePath` is "" if nothing is served for url
+    const [, urlPathname, fragment = ""] = /^([^?#]*)(?:\?[^#]*)?(?:#(.*))?$/.exec(url);
+
+
+    // Resolve relative urls against page, Same page if only a query or fragment is given & `..` never goes above root
+    const pageUrlPath = `/${path.relative(outputPath, htmlPath).split(path.sep).join("/")}`;
+    const urlPath = urlPathname === "" ? pageUrlPath : new URL(urlPathname, `http://localhost${pageUrlPath}`).pathname;
+
+
+    return { filePath: resolveFilePath(outputPath, urlPath), fragment: decodeFragment(fragment), urlPath };
+}
+export async function checkLinks(outputPath, inputPath = "", redirects = [], manifestPath = "") {  // Broken local links in created html files, Format [{ url, reason, htmlPath, file, line }, ...]
+    outputPath = path.resolve(outputPath);
+
+
+    // Map created files back to their input files so links are reported where they were written (e.g. redirect stubs to `_redirects`)
+    const manifest = manifestPath !== "" ? new OutputManifest(outputPath, manifestPath) : null;
+    const sourcePaths = new Map();  // Format { "path/to/output/file.html" : "path/to/input/file.mdx" }
+    if (await manifest?.load()) {
+        for (const relInputPath of manifest.getInputPaths()) {
+            manifest.get(relInputPath).forEach(createdPath => sourcePaths.set(createdPath, relInputPath));
+        }
+    }
+
+
+    // Check every link of every html file, Ids of linked pages are read once
+    const anchorIds = new Map();  // Format { "path/to/output/file.html" : Set("id", ...) }
+    const getIds = async (filePath) => {
+        if (!anchorIds.has(filePath)) {
+            anchorIds.set(filePath, getAnchorIds(await fsp.readFile(filePath, "utf8")));
+        }
+        return anchorIds.get(filePath);
+    };
+    const brokenLinks = [];
+    for (const htmlPath of (await crawlDir(outputPath)).filter(p => p.endsWith(".html")).sort()) {
+        const html = await fsp.readFile(htmlPath, "utf8");
+        for (const { url, line } of getLinks(html)) {
+
+            // Find served file, Links matching a redirect are fine since the host redirects them
+            const { filePath, fragment, urlPath } = resolveLink(url, htmlPath, outputPath);
+            let reason = undefined;
+            if (filePath === "" && matchRedirect(redirects, urlPath) === undefined) {
+                reason = LinkError.MISSING_FILE;
+            }
+            else if (fragment !== "" && fragment !== "top" && filePath.endsWith(".html") && !(await getIds(filePath)).has(fragment)) {
+                reason = LinkError.MISSING_ANCHOR;
+            }
+            if (reason === undefined) {
+                continue;
+            }
+
+
+            // Report against input file & line if known, otherwise against the html file itself
+            const relInputPath = sourcePaths.get(htmlPath);
+            const sourcePath = relInputPath !== undefined && inputPath !== "" ? path.join(inputPath, relInputPath) : "";
+            const hasSource = sourcePath !== "" && fs.existsSync(sourcePath);
+            brokenLinks.push({
+                url: url,
+                reason: reason,
+                htmlPath: htmlPath,
+                file: hasSource ? sourcePath : htmlPath,
+                line: hasSource ? findSourceLine(await fsp.readFile(sourcePath, "utf8"), url) : line
+            });
+        }
+    }
+
+
+    return brokenLinks;
+}
@@ -0,0 +1,118 @@
+import path from "path";
+import { injectIntoBody } from "./html.js";
+
+
+// Properties
+const RELOAD_EVENT = "reload";
+export const LIVE_RELOAD_ROUTE = "/__hostmdx/live-reload";
+export const LIVE_RELOAD_SCRIPT = `<script>(() => {
+    const source = new EventSource("${LIVE_RELOAD_ROUTE}?path=" + encodeURIComponent(location.pathname));
+    source.addEventListener("${RELOAD_EVENT}", () => location.reload());
+})();</script>`;
+
+
+// Methods
+export function injectLiveReloadScript(htmlCode) {
+    return injectIntoBody(htmlCode, LIVE_RELOAD_SCRIPT);
+}
+export function urlToHtmlPath(hostDir, urlPath) {
+
+    // Decode url path
+    try {
+        urlPath = decodeURIComponent(urlPath);
+    }
+    catch (err) {
+        return "";
+    }
+
+
+    // Directories are served through their index file
+    if (urlPath.endsWith("/")) {
+        urlPath += "index.html";
+    }
+
+
+    // Only html files are tracked
+    if (path.extname(urlPath) !== ".html") {
+        return "";
+    }
+
+
+    return path.join(path.resolve(hostDir), path.normalize(urlPath));
+}
+
+
+// Classes
+export class LiveReload {
+
+    // Private Properties
+    #hostDir = "";
+    #clients = new Set();  // Format Set({ res: ServerResponse, htmlPath: "path/to/file.html" }, ...)
+
+
+    // Constructors
+    constructor(hostDir) {
+        this.#hostDir = path.resolve(hostDir);
+    }
+
+
+    // Private Methods
+    #send(client) {
+        client.res.write(`event: ${RELOAD_EVENT}\ndata: \n\n`);
+    }
+
+
+    // Getter Methods
+    getClientCount() {
+        return this.#clients.size;
+    }
+
+
+    // Public Methods
+    handleRequest(req, res) {
+
+        // Open event stream
+        res.writeHead(200, {
+            "Content-Type": "text/event-stream",
+            "Cache-Control": "no-cache",
+            "Connection": "keep-alive"
+        });
+        res.write("\n");
+
+
+        // Register client along with the page it is showing
+        const pagePath = new URL(req.url, "http://localhost").searchParams.get("path") ?? "/";
+        const client = { res, htmlPath: urlToHtmlPath(this.#hostDir, pagePath) };
+        this.#clients.add(client);
+        req.on("close", () => { this.#clients.delete(client); });
+    }
+    reload(changedPaths = null) {
+
+        // Reload all clients if no specific paths given
+        if (changedPaths == null) {
+            this.#clients.forEach(client => this.#send(client));
+            return;
+        }
+
+
+        // Reload all clients if any non-html file changed since it could be used by any page
+        const resolvedPaths = new Set([...changedPaths].map(p => path.resolve(p)));
+        const hasNonHtml = [...resolvedPaths].some(p => path.extname(p) !== ".html");
+        if (hasNonHtml) {
+            this.#clients.forEach(client => this.#send(client));
+            return;
+        }
+
+
+        // Reload only clients showing changed pages
+        this.#clients.forEach(client => {
+            if (resolvedPaths.has(client.htmlPath)) {
+                this.#send(client);
+            }
+        });
+    }
+    close() {
+        this.#clients.forEach(client => client.res.end());
+        this.#clients.clear();
+    }
+}
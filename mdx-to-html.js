@@ -1,3 +1,5 @@
+import fs from "fs";
+import path from "path";
 import * as Preact from "preact";
 import * as PreactDOM from "preact/compat";
 import * as _jsx_runtime from "preact/jsx-runtime";
@@ -6,6 +8,9 @@ import { common } from "lowlight";
 import { bundleMDX } from "mdx-bundler";
 import { createRequire } from "module";
 import rehypeHighlight from "rehype-highlight";
+import { createHeadCollector } from "./head.js";
+import { createPagesQuery } from "./pages.js";
+import { createTocCollector } from "./toc.js";
 
 
 // Constants
@@ -31,7 +36,137 @@ function getMDXExport(code, globals) {
   const fn = new Function(...Object.keys(globals), code);
   return fn(...Object.values(globals));
 }
-export async function mdxToHtml(mdxCode, baseUrl, globalArgs = {}, modSettingsCallback = undefined) {
+function createDependencyTracker() {
+
+  // Records every local file esbuild loads while bundling, Returning nothing lets other plugins load the file as usual
+  const dependencies = new Set();
+  const plugin = {
+    name: "hostmdx-dependency-tracker",
+    setup(build) {
+      build.onLoad({ filter: /.*/ }, (args) => {
+        const isLocal = args.namespace === "file" && !args.path.split(path.sep).includes("node_modules");
+        if (isLocal && fs.existsSync(args.path)) {
+          dependencies.add(args.path);
+        }
+        return undefined;
+      });
+    }
+  };
+
+
+  return { plugin, dependencies };
+}
+function createAssetsTracker(assets) {
+
+  // Records every asset read from `hostmdxAssets` (including missing ones), Listing all of them counts as reading all of them
+  const usedAssets = new Set();
+  const addUsedAsset = (key) => {
+    if (typeof key === "string") {
+      usedAssets.add(key);
+    }
+  };
+  const proxy = new Proxy(assets, {
+    get: (target, key) => {
+      addUsedAsset(key);
+      return target[key];
+    },
+    has: (target, key) => {
+      addUsedAsset(key);
+      return key in target;
+    },
+    ownKeys: (target) => {
+      Object.keys(target).forEach(addUsedAsset);
+      return Reflect.ownKeys(target);
+    }
+  });
+
+
+  return { proxy, usedAssets };
+}
+async function bundleLayout(layoutPath, settings) {
+
+  // Bundle layout with the same settings as the page so aliases, plugins, etc. still apply
+  const { plugin, dependencies } = createDependencyTracker();
+  const { code } = await bundleMDX({
+    ...settings,
+    source: `export { default as Layout } from ${JSON.stringify(layoutPath)};`,
+    cwd: path.dirname(layoutPath),
+    esbuildOptions: (options, frontmatter) => {
+      options = settings.esbuildOptions?.(options, frontmatter) ?? options;
+      options.plugins = [plugin, ...(options.plugins ?? [])];
+      return options;
+    }
+  });
+
+
+  return { code, dependencies: [...dependencies] };
+}
+async function getLayoutComponent(layoutPath, settings, globals, layoutsCache = null) {
+
+  // Bundle layout once per cache (i.e. per build), Evaluated for every page since globals differ
+  let bundle = layoutsCache?.get(layoutPath);
+  if (bundle === undefined) {
+    bundle = bundleLayout(layoutPath, settings);
+    layoutsCache?.set(layoutPath, bundle);
+  }
+  const { code, dependencies } = await bundle;
+
+
+  return { Layout: getMDXExport(code, globals).Layout, dependencies };
+}
+export function getErrorDetails(err, filePath) {  // Message & location of error in mdx file (line & column start from 1)
+  const details = { message: String(err?.message ?? err), file: filePath, line: undefined, column: undefined, lineText: undefined, stack: err?.stack };
+
+
+  // Use first bundler error if any
+  const bundleError = err?.errors?.[0];
+  if (bundleError === undefined) {
+    return details;
+  }
+  details.message = bundleError.text;
+
+
+  // Errors in imported files point to that file instead
+  const location = bundleError.location;
+  const isEntryPoint = location?.file === undefined || path.basename(location.file).startsWith("_mdx_bundler_entry_point");
+  details.file = isEntryPoint ? filePath : path.resolve(location.file);
+
+
+  // Prefer location reported by mdx, then the range mentioned in message, then location reported by esbuild (not for mdx since it points to compiled code)
+  const rangeMatch = /\((\d+):(\d+)-\d+:\d+\)/.exec(bundleError.text ?? "");
+  if (bundleError.detail?.line !== undefined) {
+    details.line = bundleError.detail.line;
+    details.column = bundleError.detail.column;
+  }
+  else if (rangeMatch !== null) {
+    details.line = Number(rangeMatch[1]);
+    details.column = Number(rangeMatch[2]);
+  }
+  else if (!isEntryPoint && location?.line > 0) {
+    details.line = location.line;
+    details.column = location.column + 1;
+    details.lineText = location.lineText;
+  }
+
+
+  return details;
+}
+export function getPlainExports(exports) {  // Exports which can be stored or sent to other threads, i.e. without components & functions
+  return Object.fromEntries(Object.entries(exports ?? {}).filter(([key, value]) => {
+    if (key === "default" || typeof value === "function") {
+      return false;
+    }
+
+    try {
+      structuredClone(value);
+      return true;
+    }
+    catch (err) {
+      return false;
+    }
+  }));
+}
+export async function mdxToHtml(mdxCode, baseUrl, globalArgs = {}, modSettingsCallback = undefined, layoutPaths = [], tocOptions = null, layoutsCache = null) {  // `layoutsCache` keeps bundled layouts, Format { "path/to/_layout.jsx" : Promise({ code, dependencies }), ... }
 
   // Assign default settings
   let settings = {
@@ -58,14 +193,82 @@ export async function mdxToHtml(mdxCode, baseUrl, globalArgs = {}, modSettingsCa
   }
 
 
-  // Generate html
-  const { code } = await bundleMDX(settings);
-  const Exports = getMDXExport(code, { Preact, PreactDOM, _jsx_runtime, require: nativeRequire, ...globalArgs });
+  // Track dependencies of page, Layouts track their own since they may be bundled for another page
+  const layoutSettings = settings;
+  const { plugin, dependencies } = createDependencyTracker();
+  const modEsbuildOptions = settings.esbuildOptions;
+  settings = {
+    ...settings,
+    esbuildOptions: (options, frontmatter) => {
+      options = modEsbuildOptions?.(options, frontmatter) ?? options;
+      options.plugins = [plugin, ...(options.plugins ?? [])];
+      return options;
+    }
+  };
+
+
+  // Add ids & anchors to headings after all other plugins, See `getTocOptions()`
+  const tocCollector = tocOptions !== null ? createTocCollector(tocOptions) : null;
+  if (tocCollector !== null) {
+    const modMdxOptions = settings.mdxOptions;
+    settings = {
+      ...settings,
+      mdxOptions: (options, frontmatter) => {
+        options = modMdxOptions?.(options, frontmatter) ?? options;
+        options.rehypePlugins = [...(options.rehypePlugins ?? []), tocCollector.plugin];
+        return options;
+      }
+    };
+  }
+
+
+  // Bundle mdx & read its toc
+  const { code, frontmatter } = await bundleMDX(settings);
+  const toc = tocCollector?.getToc();
+  const { Head, getHeadTags } = createHeadCollector();
+  const globals = { Preact, PreactDOM, _jsx_runtime, require: nativeRequire, Head, hostmdxFrontmatter: frontmatter, hostmdxToc: toc ?? [], ...globalArgs };
+
+
+  // Replace index of pages with query function, Recording which pages were returned so dependents can be tracked
+  let queriedPages = undefined;
+  if (Array.isArray(globalArgs.hostmdxPages)) {
+    globals.hostmdxPages = createPagesQuery(globalArgs.hostmdxPages, (pages) => {
+      queriedPages = [...new Set([...(queriedPages ?? []), ...pages.map(page => page.filePath)])];
+    });
+  }
+
+
+  // Track assets read so only changes to those need recreating the page
+  const assetsTracker = typeof globalArgs.hostmdxAssets === "object" && globalArgs.hostmdxAssets !== null ? createAssetsTracker(globalArgs.hostmdxAssets) : null;
+  if (assetsTracker !== null) {
+    globals.hostmdxAssets = assetsTracker.proxy;
+  }
+  const Exports = getMDXExport(code, globals);
   const Component = Exports.default;
 
 
+  // Wrap content inside layouts, `layoutPaths` is ordered outermost first
+  let element = Preact.h(Component, { components: { Head } });  // Components used in mdx are resolved from `components` not globals
+  for (const layoutPath of [...layoutPaths].reverse()) {
+    const { Layout, dependencies: layoutDependencies } = await getLayoutComponent(layoutPath, layoutSettings, globals, layoutsCache);
+    layoutDependencies.forEach(dependency => dependencies.add(dependency));
+    element = Preact.h(Layout, { frontmatter, exports: Exports, toc: toc ?? [] }, element);
+  }
+
+
+  // Render, `<Head>` tags are collected while rendering
+  const html = renderToStaticMarkup(element);
+
+
   return {
-    html: renderToStaticMarkup(Preact.h(Component, {})),
-    exports: Exports
+    html: html,
+    head: getHeadTags(),
+    exports: Exports,
+    frontmatter: frontmatter,
+    layouts: layoutPaths,
+    dependencies: [...dependencies],
+    queriedPages: queriedPages,  // Input paths relative to input directory, undefined if `hostmdxPages` was not used
+    usedAssets: [...(assetsTracker?.usedAssets ?? [])],  // Url paths read from `hostmdxAssets` e.g. "/static/styles.css"
+    toc: toc  // Format [{ depth, text, id, children: [...] }, ...], undefined if disabled
   }
 }
\ No newline at end of file
@@ -0,0 +1,39 @@
+import fs from "fs";
+import { pathToFileURL } from "url";
+import { parentPort } from "worker_threads";
+import { mdxToHtml, getPlainExports } from "./mdx-to-html.js";
+
+
+// Properties
+const configsCache = new Map();  // Format { "path/to/host-mdx.js" : Promise(configs), ... }
+const layoutsCache = { buildId: undefined, bundles: new Map() };  // Bundled layouts of the ongoing build, See `mdxToHtml()`
+
+
+// Methods
+async function getConfigs(configFilePath) {  // Config functions cannot be sent to workers so config file is imported again here
+    if (!configsCache.has(configFilePath)) {
+        const configsPromise = fs.existsSync(configFilePath) ? import(pathToFileURL(configFilePath).href) : Promise.resolve({});
+        configsCache.set(configFilePath, configsPromise);
+    }
+
+    return await configsCache.get(configFilePath);
+}
+
+
+// Listen for tasks
+parentPort.on("message", async ({ id, mdxCode, baseUrl, globalArgs, layoutPaths, tocOptions, inputPath, outputPath, configFilePath, buildId }) => {
+    try {
+        if (layoutsCache.buildId !== buildId) {
+            layoutsCache.buildId = buildId;
+            layoutsCache.bundles.clear();
+        }
+        const configs = await getConfigs(configFilePath);
+        tocOptions = tocOptions !== null ? { ...tocOptions, slugify: configs?.toc?.slugify } : null;
+        const result = await mdxToHtml(mdxCode, baseUrl, globalArgs, async (settings) => { return await configs?.modBundleMDXSettings?.(inputPath, outputPath, settings) ?? settings }, layoutPaths, tocOptions, layoutsCache.bundles);
+        parentPort.postMessage({ id, result: { ...result, exports: getPlainExports(result.exports) } });
+    }
+    catch (err) {
+        const errors = err?.errors?.map(({ text, location, detail }) => ({ text, location, detail: { line: detail?.line, column: detail?.column } }));
+        parentPort.postMessage({ id, error: { message: err?.message, stack: err?.stack, errors } });
+    }
+});
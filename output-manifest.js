@@ -0,0 +1,128 @@
+import fs from "fs";
+import path from "path";
+import { promises as fsp } from "fs";
+
+
+// Properties
+export const MANIFEST_FILE_NAME = "output-manifest.json";
+export const LEGACY_MANIFEST_FILE_NAME = ".hostmdx-manifest.json";  // Written inside output path by older versions, Left out of output since it gets deployed
+export const SITE_ENTRY_NAME = "";  // Entry of files generated for the whole site (e.g. sitemap & feeds) instead of a single input file
+const MANIFEST_VERSION = 1;
+
+
+// Methods
+function toPosixPath(filePath) {
+    return filePath.split(path.sep).join("/");
+}
+function isEntryInside(entryName, relDirPath) {
+    return entryName === relDirPath || entryName.startsWith(`${relDirPath}/`);
+}
+export async function removeEmptyDirs(dirPath) {  // Removes given directory & all directories inside if they are empty
+    if (!fs.existsSync(dirPath) || !fs.statSync(dirPath).isDirectory()) {
+        return;
+    }
+
+    for (const name of await fsp.readdir(dirPath)) {
+        await removeEmptyDirs(path.join(dirPath, name));
+    }
+    if ((await fsp.readdir(dirPath)).length === 0) {
+        await fsp.rmdir(dirPath);
+    }
+}
+
+
+// Classes
+export class OutputManifest {
+
+    // Private Properties
+    #outputPath = "";
+    #manifestPath = "";
+    #entries = new Map();  // Format { "relative/path/to/input/file.mdx" : Set("relative/path/to/output/file.html", ...), ... }
+
+
+    // Constructors
+    constructor(outputPath, manifestPath) {  // Manifest is kept outside output path (e.g. in cache directory) so it is not deployed
+        this.#outputPath = path.resolve(outputPath);
+        this.#manifestPath = path.resolve(manifestPath);
+    }
+
+
+    // Getter Methods
+    get(inputPath) {  // Absolute output paths created from given input path
+        return [...(this.#entries.get(this.#toEntryName(inputPath)) ?? [])].map(p => path.join(this.#outputPath, p));
+    }
+    getInputPaths() {  // Input paths relative to input directory, without the site entry
+        return [...this.#entries.keys()].filter(entryName => entryName !== SITE_ENTRY_NAME).map(entryName => entryName.split("/").join(path.sep));
+    }
+    getOutputPaths() {
+        return new Set([...this.#entries.values()].flatMap(outputPaths => [...outputPaths].map(p => path.join(this.#outputPath, p))));
+    }
+
+
+    // Private Methods
+    #toEntryName(inputPath) {  // Input paths are stored relative to input directory, The site entry is passed as is
+        return inputPath === SITE_ENTRY_NAME ? SITE_ENTRY_NAME : toPosixPath(inputPath);
+    }
+
+
+    // Public Methods
+    async load() {
+        const manifestPath = this.#manifestPath;
+        this.#entries.clear();
+        if (!fs.existsSync(manifestPath)) {
+            return false;
+        }
+
+
+        // Read manifest, Treat unreadable or outdated manifest as missing
+        try {
+            const manifest = JSON.parse(await fsp.readFile(manifestPath, "utf8"));
+            if (manifest?.version !== MANIFEST_VERSION) {
+                return false;
+            }
+            Object.entries(manifest.files ?? {}).forEach(([entryName, outputPaths]) => this.#entries.set(entryName, new Set(outputPaths)));
+        }
+        catch (err) {
+            this.#entries.clear();
+            return false;
+        }
+
+
+        return true;
+    }
+    async save() {
+        const files = Object.fromEntries([...this.#entries.entries()].sort(([a], [b]) => a.localeCompare(b)).map(([entryName, outputPaths]) => [entryName, [...outputPaths].sort()]));
+        await fsp.mkdir(path.dirname(this.#manifestPath), { recursive: true });
+        await fsp.writeFile(this.#manifestPath, JSON.stringify({ version: MANIFEST_VERSION, files }, null, 2));
+    }
+    set(inputPath, outputPaths) {  // `inputPath` relative to input directory, `outputPaths` absolute
+        const relOutputPaths = outputPaths.map(p => toPosixPath(path.relative(this.#outputPath, p)));
+        this.#entries.set(this.#toEntryName(inputPath), new Set(relOutputPaths));
+    }
+    add(inputPath, outputPaths) {
+        this.set(inputPath, [...new Set([...this.get(inputPath), ...outputPaths])]);
+    }
+    async update(inputPath, outputPaths) {  // Sets output paths & removes previously created files which are no longer created (e.g. page slug changed)
+        const stalePaths = this.get(inputPath).filter(p => !outputPaths.includes(p));
+        this.set(inputPath, outputPaths);
+
+        const createdPaths = this.getOutputPaths();
+        for (const stalePath of stalePaths.filter(p => !createdPaths.has(p))) {
+            await fsp.rm(stalePath, { force: true });
+        }
+
+        return stalePaths;
+    }
+    delete(inputPath) {  // Removes entries of input path & all paths inside it, Returns their absolute output paths
+        const relDirPath = this.#toEntryName(inputPath);
+        const removedPaths = [];
+        for (const entryName of [...this.#entries.keys()]) {
+            if (entryName !== SITE_ENTRY_NAME && isEntryInside(entryName, relDirPath)) {
+                removedPaths.push(...this.get(entryName));
+                this.#entries.delete(entryName);
+            }
+        }
+
+        return removedPaths;
+    }
+}
@@ -0,0 +1,98 @@
+import path from "path";
+import ignore from "ignore";
+import matter from "gray-matter";
+
+
+// Properties
+const DEFAULT_QUERY_OPTIONS = {
+    sortBy: "urlPath",  // Page field (e.g. wordCount), export or frontmatter key, or compare function
+    order: "asc",
+    limit: Infinity,
+    filter: undefined  // (page) => boolean
+};
+const FENCE_REGEX = /^\s*(```|~~~)/;
+const HEADING_REGEX = /^(#{1,6})\s+(.+?)\s*#*\s*$/;
+
+
+// Methods
+function toPlainText(markdown) {  // Strips inline markdown, html/jsx tags & expressions
+    return markdown
+        .replace(/<[^>]*>/g, " ")
+        .replace(/\{[^{}]*\}/g, " ")
+        .replace(/!?\[([^\]]*)\]\([^)]*\)/g, "$1")
+        .replace(/`([^`]*)`/g, "$1")
+        .replace(/[*_~]+/g, "");
+}
+function getContentLines(mdxCode) {  // Lines of markdown content, without frontmatter, code blocks, imports & exports
+    const lines = [];
+    let isInFence = false;
+    for (const line of matter(String(mdxCode)).content.split(/\r?\n/)) {
+        if (FENCE_REGEX.test(line)) {
+            isInFence = !isInFence;
+            continue;
+        }
+        if (!isInFence && !/^(import|export)\s/.test(line)) {
+            lines.push(line);
+        }
+    }
+    return lines;
+}
+function getPageValue(page, key) {
+    return page[key] ?? page.exports?.[key] ?? page.frontmatter?.[key];
+}
+function toText(value) {  // Valid dates as ISO strings so they keep their order when compared as text
+    return value instanceof Date && !isNaN(value) ? value.toISOString() : String(value);
+}
+function compareValues(a, b) {  // Dates & numbers by value, everything else (or dates compared with invalid dates) as text
+    if (a instanceof Date || b instanceof Date || (typeof a === "number" && typeof b === "number")) {
+        const difference = new Date(a).getTime() - new Date(b).getTime();
+        if (!isNaN(difference)) {
+            return difference;
+        }
+    }
+
+    return toText(a).localeCompare(toText(b));
+}
+export function getHeadings(mdxCode) {  // Markdown headings, Format [{ depth, text }, ...]
+    return getContentLines(mdxCode)
+        .map(line => HEADING_REGEX.exec(line))
+        .filter(match => match !== null)
+        .map(([, hashes, text]) => ({ depth: hashes.length, text: toPlainText(text).trim() }));
+}
+export function countWords(mdxCode) {
+    const text = toPlainText(getContentLines(mdxCode).join("\n")).replace(/^\s*(#{1,6}|>|[-+*]|\d+\.)\s+/gm, " ");
+    return text.split(/\s+/).filter(word => /[\p{L}\p{N}]/u.test(word)).length;
+}
+export function createPageData(relToInput, urlPath, mdxCode, exports = {}) {  // Metadata of page available to other pages, must be serialisable
+    return {
+        filePath: relToInput.split(path.sep).join("/"),
+        urlPath: urlPath,
+        frontmatter: matter(String(mdxCode)).data,
+        exports: exports,
+        headings: getHeadings(mdxCode),
+        wordCount: countWords(mdxCode)
+    };
+}
+export function createPagesQuery(pages, onQuery = undefined) {  // Returns `hostmdxPages(pattern, options)`, `onQuery(pages)` receives every page returned
+    return (pattern = "", options = {}) => {
+        const { sortBy, order, limit, filter } = { ...DEFAULT_QUERY_OPTIONS, ...options };
+
+
+        // Match gitignore style patterns against input paths of pages
+        const patterns = [pattern].flat().filter(p => typeof p === "string" && p !== "");
+        const matcher = ignore().add(patterns);
+        let results = pages.filter(page => patterns.length === 0 || matcher.ignores(page.filePath));
+        results = typeof filter === "function" ? results.filter(filter) : results;
+
+
+        // Sort & limit, Pages missing the key are kept last in either order
+        const compare = typeof sortBy === "function" ? sortBy : (a, b) => compareValues(getPageValue(a, sortBy), getPageValue(b, sortBy));
+        const isMissing = (page) => typeof sortBy !== "function" && (getPageValue(page, sortBy) ?? null) === null;
+        results = [...results].sort((a, b) => (isMissing(a) - isMissing(b)) || (order === "desc" ? compare(b, a) : compare(a, b)));
+        results = results.slice(0, limit);
+
+
+        onQuery?.(results);
+        return results.map(page => structuredClone(page));
+    };
+}
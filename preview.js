@@ -0,0 +1,45 @@
+import fs from "fs";
+import path from "path";
+
+
+// Properties
+export const IMMUTABLE_CACHE_CONTROL = "public, max-age=31536000, immutable";
+export const REVALIDATE_CACHE_CONTROL = "no-cache";
+const HASHED_FILE_REGEX = /[.-][0-9a-f]{8,}\.[^./\\]+$/i;  // e.g. styles.3f2a9c1b.css or chunk-3f2a9c1b.js
+
+
+// Methods
+export function isHashedFile(filePath) {
+    return HASHED_FILE_REGEX.test(path.basename(filePath));
+}
+export function getCacheControl(filePath) {  // Hashed files never change under the same name, everything else is revalidated through ETag
+    return isHashedFile(filePath) ? IMMUTABLE_CACHE_CONTROL : REVALIDATE_CACHE_CONTROL;
+}
+export function getETag(stats) {  // Same weak ETag as sirv, so both agree on which files are unchanged
+    return `W/"${stats.size}-${stats.mtime.getTime()}"`;
+}
+export function isNotModified(reqHeaders, stats) {  // `If-None-Match` takes precedence over `If-Modified-Since`
+    const ifNoneMatch = reqHeaders?.["if-none-match"];
+    if (ifNoneMatch !== undefined) {
+        const etag = getETag(stats);
+        return ifNoneMatch.split(",").map(tag => tag.trim()).some(tag => tag === "*" || tag === etag);
+    }
+
+    const ifModifiedSince = Date.parse(reqHeaders?.["if-modified-since"] ?? "");
+    return !Number.isNaN(ifModifiedSince) && Math.floor(stats.mtime.getTime() / 1000) * 1000 <= ifModifiedSince;
+}
+export function resolveFilePath(hostDir, urlPath) {  // File served for url, trying same candidates as sirv i.e. as is, `.html` & `/index.html`
+    try {
+        urlPath = decodeURIComponent(urlPath);
+    }
+    catch (err) {
+        return "";
+    }
+
+    const filePath = path.join(hostDir, path.normalize(urlPath));
+    if (filePath !== hostDir && !filePath.startsWith(`${hostDir}${path.sep}`)) {
+        return "";
+    }
+
+    return [filePath, `${filePath}.html`, path.join(filePath, "index.html")].find(p => fs.existsSync(p) && fs.statSync(p).isFile()) ?? "";
+}
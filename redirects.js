@@ -0,0 +1,88 @@
+import fs from "fs";
+import path from "path";
+import { promises as fsp } from "fs";
+import { escapeHtml } from "./html.js";
+
+
+// Properties
+export const REDIRECTS_FILE_NAME = "_redirects";
+const DEFAULT_STATUS = 301;
+const VALID_STATUSES = [301, 302, 303, 307, 308];
+
+
+// Methods
+function trimTrailingSlash(urlPath) {
+    return 1 < urlPath.length && urlPath.endsWith("/") ? urlPath.slice(0, -1) : urlPath;
+}
+function toRule(from, to, status = DEFAULT_STATUS) {  // Returns undefined if invalid
+    status = Number(status);
+    if (typeof from !== "string" || !from.startsWith("/") || typeof to !== "string" || to === "" || !VALID_STATUSES.includes(status)) {
+        return undefined;
+    }
+
+    return { from, to, status };
+}
+function getPatternRegex(from) {  // `:param` matches a single path segment, a trailing `*` matches the rest of the path as `:splat`
+    const names = [];
+    const pattern = trimTrailingSlash(from).split("/").map((segment, index, segments) => {
+        if (segment === "*" && index === segments.length - 1) {
+            names.push("splat");
+            return "(.*)";
+        }
+        if (segment.startsWith(":") && 1 < segment.length) {
+            names.push(segment.slice(1));
+            return "([^/]+)";
+        }
+        return segment.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    }).join("/");
+
+    return { regex: new RegExp(`^${pattern}$`), names };
+}
+export function parseRedirects(content) {  // Lines of `from to [status]`, `#` starts a comment
+    return String(content).split(/\r?\n/)
+        .map(line => line.replace(/#.*$/, "").trim())
+        .filter(line => line !== "")
+        .map(line => toRule(...line.split(/\s+/)))
+        .filter(rule => rule !== undefined);
+}
+export async function readRedirects(inputPath, configRedirects = []) {  // Rules from configs first, then from `_redirects` file in input root
+    const rules = (Array.isArray(configRedirects) ? configRedirects : []).map(rule => toRule(rule?.from, rule?.to, rule?.status ?? DEFAULT_STATUS));
+    const filePath = path.join(inputPath, REDIRECTS_FILE_NAME);
+    const fileRules = fs.existsSync(filePath) ? parseRedirects(await fsp.readFile(filePath, "utf8")) : [];
+
+    return [...rules.filter(rule => rule !== undefined), ...fileRules];
+}
+export function isStaticRedirect(rule) {  // Rules without patterns, i.e. which can be written as html pages
+    return !/(^|\/)(:[^/]+|\*)(\/|$)/.test(rule.from);
+}
+export function matchRedirect(rules, urlPath) {  // Returns { location, status } of first matching rule
+    urlPath = trimTrailingSlash(urlPath);
+    for (const rule of rules) {
+        const { regex, names } = getPatternRegex(rule.from);
+        const match = regex.exec(urlPath);
+        if (match === null) {
+            continue;
+        }
+
+        const params = Object.fromEntries(names.map((name, i) => [name, match[i + 1]]));
+        const location = rule.to.replace(/:([A-Za-z_]\w*)/g, (placeholder, name) => params[name] ?? placeholder);
+        return { location, status: rule.status };
+    }
+
+    return undefined;
+}
+export function getRedirectStubPath(outputPath, from) {  // `/old.html` is written as is, any other path as `/old/index.html`, Returns "" if path cannot be decoded
+    let relPath = "";
+    try {
+        relPath = decodeURIComponent(from).replace(/^\/+/, "");
+    }
+    catch (err) {
+        return "";
+    }
+    relPath = relPath.endsWith(".html") ? relPath : path.join(relPath, "index.html");
+    return path.join(outputPath, path.normalize(relPath));
+}
+export function createRedirectHtml(targetUrl) {  // Page which redirects to given url, for hosts without server side redirects
+    const url = escapeHtml(targetUrl);
+    return `<!DOCTYPE html><html><head><meta charset="utf-8"><title>Redirecting...</title><link rel="canonical" href="${url}"><meta name="robots" content="noindex"><meta http-equiv="refresh" content="0; url=${url}"></head><body><a href="${url}">Redirecting to ${url}</a></body></html>`;
+}
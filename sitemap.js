@@ -0,0 +1,95 @@
+import fs from "fs";
+import path from "path";
+import { promises as fsp } from "fs";
+
+
+// Properties
+export const SITEMAP_FILE_NAME = "sitemap.xml";
+export const ROBOTS_FILE_NAME = "robots.txt";
+const INDEX_FILE_NAME = "index.html";
+const XML_ESCAPES = { "&": "&amp;", "<": "&lt;", ">": "&gt;", "\"": "&quot;", "'": "&apos;" };
+
+
+// Methods
+export function escapeXml(text) {
+    return String(text).replace(/[&<>"']/g, (char) => XML_ESCAPES[char]);
+}
+function unescapeXml(text) {
+    const unescapes = Object.fromEntries(Object.entries(XML_ESCAPES).map(([char, escaped]) => [escaped, char]));
+    return String(text).replace(/&(amp|lt|gt|quot|apos);/g, (escaped) => unescapes[escaped]);
+}
+export function getBaseUrl(siteUrl) {
+    return siteUrl.endsWith("/") ? siteUrl : `${siteUrl}/`;
+}
+export function getPagePath(outputPath, filePath) {
+
+    // Get path relative to output with forward slashes
+    let relPath = path.relative(outputPath, filePath).split(path.sep).join("/");
+
+
+    // Index files are served at their directory
+    if (relPath === INDEX_FILE_NAME || relPath.endsWith(`/${INDEX_FILE_NAME}`)) {
+        relPath = relPath.slice(0, -INDEX_FILE_NAME.length);
+    }
+
+
+    return `/${relPath}`;
+}
+export function getPageUrl(siteUrl, outputPath, filePath) {
+    return new URL(encodeURI(getPagePath(outputPath, filePath).slice(1)), getBaseUrl(siteUrl)).href;
+}
+export async function readSitemap(sitemapPath) {
+    const entries = new Map();  // Format { "https://example.com/page/" : "2024-01-01T00:00:00.000Z", ... }
+    if (!fs.existsSync(sitemapPath)) {
+        return entries;
+    }
+
+    const content = await fsp.readFile(sitemapPath, "utf8");
+    const urlRegex = /<url>\s*<loc>(.*?)<\/loc>(?:\s*<lastmod>(.*?)<\/lastmod>)?\s*<\/url>/gs;
+    for (const match of content.matchAll(urlRegex)) {
+        entries.set(unescapeXml(match[1]), match[2] !== undefined ? unescapeXml(match[2]) : undefined);
+    }
+
+    return entries;
+}
+export function createSitemap(entries) {
+    const urls = [...entries.entries()]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([loc, lastmod]) => `  <url>\n    <loc>${escapeXml(loc)}</loc>${lastmod !== undefined ? `\n    <lastmod>${escapeXml(lastmod)}</lastmod>` : ""}\n  </url>`);
+
+    return `<?xml version="1.0" encoding="UTF-8"?>\n<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n${urls.join("\n")}\n</urlset>\n`;
+}
+export function createRobotsTxt(siteUrl, robots = true) {
+    if (typeof robots === "string") {
+        return robots;
+    }
+
+    return `User-agent: *\nAllow: /\n\nSitemap: ${new URL(SITEMAP_FILE_NAME, getBaseUrl(siteUrl)).href}\n`;
+}
+export async function updateSitemap(siteUrl, outputPath, changes, isFresh = false) {
+
+    // Start from existing sitemap unless freshly created
+    const sitemapPath = path.join(outputPath, SITEMAP_FILE_NAME);
+    const entries = isFresh ? new Map() : await readSitemap(sitemapPath);
+
+
+    // Apply changes, Format { "path/to/output/file.html" : lastmod | null (to remove), ... }
+    for (const [filePath, lastmod] of changes) {
+        const pageUrl = getPageUrl(siteUrl, outputPath, filePath);
+        if (lastmod !== null) {
+            entries.set(pageUrl, lastmod);
+            continue;
+        }
+
+
+        // Remove page, or every page inside if a directory was removed
+        entries.delete(pageUrl);
+        if (path.extname(filePath) === "") {
+            const dirUrl = getBaseUrl(pageUrl);
+            [...entries.keys()].filter(loc => loc.startsWith(dirUrl)).forEach(loc => entries.delete(loc));
+        }
+    }
+
+
+    await fsp.writeFile(sitemapPath, createSitemap(entries));
+}
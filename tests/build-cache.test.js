@@ -0,0 +1,46 @@
+import os from "node:os";
+import fs from "node:fs";
+import path from "node:path";
+import assert from "node:assert";
+import { describe, it } from "node:test";
+import { BuildCache, hashConfigs } from "../build-cache.js";
+
+
+// Tests
+describe("Testing build cache", () => {
+
+    it("Entries are outdated once their key or a dependency changes", async () => {
+
+        // Cache page depending on a component
+        const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), "host-mdx-cache-"));
+        const dependencyPath = path.join(cacheDir, "component.jsx");
+        fs.writeFileSync(dependencyPath, "export default 1;");
+        const cache = new BuildCache(cacheDir);
+        const key = cache.getKey("# Page", ["configs"]);
+        await cache.set("page.mdx", key, { html: "<h1>Page</h1>" }, [dependencyPath]);
+        assert.deepStrictEqual(await cache.get("page.mdx", key), { html: "<h1>Page</h1>" });
+        assert.strictEqual(await cache.get("page.mdx", cache.getKey("# Page", ["other configs"])), undefined);
+        assert.strictEqual(await cache.get("page.mdx", cache.getKey("# Changed", ["configs"])), undefined);
+
+
+        // Change dependency, File hashes are only valid for a single build
+        fs.writeFileSync(dependencyPath, "export default 2;");
+        assert.deepStrictEqual(await cache.get("page.mdx", key), { html: "<h1>Page</h1>" });
+        cache.clearFileHashes();
+        assert.strictEqual(await cache.get("page.mdx", key), undefined);
+
+
+        // Peek still gives outdated value
+        assert.deepStrictEqual(await cache.peek("page.mdx"), { html: "<h1>Page</h1>" });
+        assert.strictEqual(await cache.peek("missing.mdx"), undefined);
+        fs.rmSync(cacheDir, { recursive: true, force: true });
+    });
+
+    it("Configs are hashed without skipped keys & with function sources", () => {
+        const onFileChangeEnd = () => 1;
+        const hash = hashConfigs({ siteUrl: "https://example.com", port: 3000, onFileChangeEnd }, ["port"]);
+        assert.strictEqual(hash, hashConfigs({ siteUrl: "https://example.com", port: 4000, onFileChangeEnd }, ["port"]));
+        assert.notStrictEqual(hash, hashConfigs({ siteUrl: "https://example.com", port: 3000, onFileChangeEnd: () => 2 }, ["port"]));
+        assert.notStrictEqual(hash, hashConfigs({ siteUrl: "https://example.org", port: 3000, onFileChangeEnd }, ["port"]));
+    });
+});
@@ -0,0 +1,30 @@
+import assert from "node:assert";
+import { describe, it } from "node:test";
+import { FileStatus, FileType, createBuildReport, finishBuildReport, formatBuildReport } from "../build-report.js";
+
+
+// Tests
+describe("Testing build report", () => {
+
+    it("Counts totals per status & lists errors in summary", () => {
+
+        // Create report with one failed & one created page
+        const report = createBuildReport("/in", "/out", false);
+        report.files.push({ inputPath: "/in/b.mdx", outputPath: "/out/b.html", type: FileType.PAGE, status: FileStatus.FAILED, durationMs: 2, error: { message: "Unexpected", file: "/in/b.mdx", line: 3, column: 5 } });
+        report.files.push({ inputPath: "/in/a.mdx", outputPath: "/out/a.html", type: FileType.PAGE, status: FileStatus.CREATED, durationMs: 1 });
+        finishBuildReport(report, performance.now());
+
+
+        // Check totals & order
+        assert.strictEqual(report.totals.files, 2);
+        assert.strictEqual(report.totals.created, 1);
+        assert.strictEqual(report.totals.failed, 1);
+        assert.deepStrictEqual(report.files.map(file => file.inputPath), ["/in/a.mdx", "/in/b.mdx"]);
+
+
+        // Check summary
+        const summary = formatBuildReport(report);
+        assert.match(summary, /failed\s+2ms\s+b\.mdx\s+b\.html/);
+        assert.match(summary, /Error in \/in\/b\.mdx:3:5 Unexpected/);
+    });
+});
@@ -0,0 +1,273 @@
+import os from "node:os";
+import fs from "node:fs";
+import path from "node:path";
+import assert from "node:assert";
+import { describe, it } from "node:test";
+import { createSite, HostMdx } from "../index.js";
+
+
+// Tests
+describe("Testing hard reload through staging directory", () => {
+
+    it("Hooks get output path & previous output stays intact on failure or interruption", async () => {
+
+        // Create site with a foreign file already in output
+        const rootPath = fs.mkdtempSync(path.join(os.tmpdir(), "host-mdx-create-"));
+        const inputPath = path.join(rootPath, "site");
+        const outputPath = path.join(rootPath, "out");
+        fs.mkdirSync(inputPath);
+        fs.mkdirSync(outputPath);
+        fs.writeFileSync(path.join(outputPath, "CNAME"), "example.com");
+        fs.writeFileSync(path.join(inputPath, "good.mdx"), "# Good\n\n{hostmdxOutputPath}");
+        fs.writeFileSync(path.join(inputPath, "bad.mdx"), "# Bad");
+
+
+        // Build while recording output paths given to hooks
+        const hookPaths = new Set();
+        const configs = {
+            cache: false,
+            cacheDir: path.join(rootPath, "cache"),
+            onSiteCreateStart: (inputPath, outputPath) => { hookPaths.add(outputPath); },
+            onFileChangeEnd: (inputPath, outputPath, currentPath, targetPath) => { hookPaths.add(outputPath).add(path.dirname(targetPath)); },
+            modGlobalArgs: (inputPath, outputPath, globalArgs) => { hookPaths.add(outputPath).add(globalArgs.hostmdxOutputPath); }
+        };
+        await createSite(inputPath, outputPath, null, undefined, configs);
+        assert.deepStrictEqual([...hookPaths], [outputPath]);
+        assert.ok(fs.readFileSync(path.join(outputPath, "good.html"), "utf8").includes(outputPath));
+        assert.deepStrictEqual(fs.readdirSync(outputPath).sort(), ["CNAME", "bad.html", "good.html"]);
+
+
+        // Break a page, It keeps its previous output while the rest is replaced
+        fs.writeFileSync(path.join(inputPath, "good.mdx"), "# Better");
+        fs.writeFileSync(path.join(inputPath, "bad.mdx"), "# Bad\n\n<div");
+        const report = await createSite(inputPath, outputPath, null, undefined, configs);
+        assert.strictEqual(report.totals.failed, 1);
+        assert.ok(fs.readFileSync(path.join(outputPath, "good.html"), "utf8").includes("<h1>Better</h1>"));
+        assert.ok(fs.readFileSync(path.join(outputPath, "bad.html"), "utf8").includes("<h1>Bad</h1>"));
+        assert.strictEqual(fs.readFileSync(path.join(outputPath, "CNAME"), "utf8"), "example.com");
+
+
+        // Interrupt build, Nothing is replaced
+        fs.writeFileSync(path.join(inputPath, "good.mdx"), "# Best");
+        await assert.rejects(createSite(inputPath, outputPath, null, undefined, configs, async () => true), { message: "Site creation interrupted!" });
+        assert.ok(fs.readFileSync(path.join(outputPath, "good.html"), "utf8").includes("<h1>Better</h1>"));
+        assert.deepStrictEqual(fs.readdirSync(rootPath).sort(), ["cache", "out", "site"]);
+
+
+        // Delete page, Its output is removed since the manifest records it was created
+        fs.rmSync(path.join(inputPath, "bad.mdx"));
+        await createSite(inputPath, outputPath, null, undefined, configs);
+        assert.deepStrictEqual(fs.readdirSync(outputPath).sort(), ["CNAME", "good.html"]);
+        fs.rmSync(rootPath, { recursive: true, force: true });
+    });
+
+    it("Failed pages keep their previous sitemap entries", async () => {
+
+        // Create site with a sitemap
+        const rootPath = fs.mkdtempSync(path.join(os.tmpdir(), "host-mdx-sitemap-"));
+        const inputPath = path.join(rootPath, "site");
+        const outputPath = path.join(rootPath, "out");
+        fs.mkdirSync(inputPath);
+        fs.mkdirSync(outputPath);
+        fs.writeFileSync(path.join(inputPath, "good.mdx"), "# Good");
+        fs.writeFileSync(path.join(inputPath, "bad.mdx"), "# Bad");
+        const configs = { cache: false, cacheDir: path.join(rootPath, "cache"), siteUrl: "https://example.com" };
+        await createSite(inputPath, outputPath, null, undefined, configs);
+        const sitemap = fs.readFileSync(path.join(outputPath, "sitemap.xml"), "utf8");
+        assert.ok(sitemap.includes("<loc>https://example.com/bad.html</loc>"));
+
+
+        // Break a page, Sitemap stays the same
+        fs.writeFileSync(path.join(inputPath, "bad.mdx"), "# Bad\n\n<div");
+        const report = await createSite(inputPath, outputPath, null, undefined, configs);
+        assert.strictEqual(report.totals.failed, 1);
+        assert.strictEqual(fs.readFileSync(path.join(outputPath, "sitemap.xml"), "utf8"), sitemap);
+        fs.rmSync(rootPath, { recursive: true, force: true });
+    });
+});
+describe("Testing clean urls", () => {
+
+    it("Pages are created as directories with redirect stubs at their old path", async () => {
+
+        // Create site with clean urls & stubs
+        const rootPath = fs.mkdtempSync(path.join(os.tmpdir(), "host-mdx-clean-"));
+        const inputPath = path.join(rootPath, "site");
+        const outputPath = path.join(rootPath, "out");
+        fs.mkdirSync(path.join(inputPath, "blog"), { recursive: true });
+        fs.mkdirSync(outputPath);
+        fs.writeFileSync(path.join(inputPath, "index.mdx"), "# Home");
+        fs.writeFileSync(path.join(inputPath, "404.mdx"), "# Not found");
+        fs.writeFileSync(path.join(inputPath, "blog", "first post.mdx"), "# First");
+        const configs = { cache: false, cacheDir: path.join(rootPath, "cache"), cleanUrls: true, cleanUrlsRedirects: true };
+        await createSite(inputPath, outputPath, null, undefined, configs);
+
+
+        // Check only non index pages moved, except 404 page
+        assert.ok(fs.existsSync(path.join(outputPath, "index.html")));
+        assert.ok(fs.existsSync(path.join(outputPath, "404.html")));
+        assert.ok(fs.readFileSync(path.join(outputPath, "blog", "first post", "index.html"), "utf8").includes("<h1>First</h1>"));
+        assert.ok(fs.readFileSync(path.join(outputPath, "blog", "first post.html"), "utf8").includes(`<meta http-equiv="refresh" content="0; url=first%20post/">`));
+
+
+        // Delete page, Stub is removed along with it
+        fs.rmSync(path.join(inputPath, "blog", "first post.mdx"));
+        await createSite(inputPath, outputPath, [path.join(inputPath, "blog", "first post.mdx")], undefined, configs);
+        assert.deepStrictEqual(fs.readdirSync(path.join(outputPath, "blog")), []);
+        fs.rmSync(rootPath, { recursive: true, force: true });
+    });
+});
+describe("Testing build cache with fingerprinted assets", () => {
+
+    it("Only pages reading a changed asset from hostmdxAssets are recreated", async () => {
+
+        // Create site where one page reads fingerprinted stylesheet
+        const rootPath = fs.mkdtempSync(path.join(os.tmpdir(), "host-mdx-assets-"));
+        const inputPath = path.join(rootPath, "site");
+        const outputPath = path.join(rootPath, "out");
+        fs.mkdirSync(inputPath);
+        fs.mkdirSync(outputPath);
+        fs.writeFileSync(path.join(inputPath, "styles.css"), "body { color: red; }");
+        fs.writeFileSync(path.join(inputPath, "other.css"), "body { color: blue; }");
+        fs.writeFileSync(path.join(inputPath, "styled.mdx"), "# Styled\n\n{hostmdxAssets[\"/styles.css\"]}");
+        fs.writeFileSync(path.join(inputPath, "plain.mdx"), "# Plain");
+        const configs = { cacheDir: path.join(rootPath, "cache"), fingerprintAssets: true };
+        await createSite(inputPath, outputPath, null, undefined, configs);
+
+
+        // Change an asset no page reads, then the one read
+        const getStatuses = (report) => Object.fromEntries(report.files.filter(file => file.inputPath.endsWith(".mdx")).map(file => [path.basename(file.inputPath), file.status]));
+        fs.writeFileSync(path.join(inputPath, "other.css"), "body { color: green; }");
+        assert.deepStrictEqual(getStatuses(await createSite(inputPath, outputPath, null, undefined, configs)), { "styled.mdx": "cached", "plain.mdx": "cached" });
+        fs.writeFileSync(path.join(inputPath, "styles.css"), "body { color: green; }");
+        assert.deepStrictEqual(getStatuses(await createSite(inputPath, outputPath, null, undefined, configs)), { "styled.mdx": "created", "plain.mdx": "cached" });
+
+
+        // Asset manifest is only written to output if asked for
+        assert.ok(!fs.existsSync(path.join(outputPath, "asset-manifest.json")));
+        await createSite(inputPath, outputPath, null, undefined, { ...configs, assetManifest: true });
+        const stylesName = fs.readdirSync(outputPath).find(name => /^styles\.\w+\.css$/.test(name));
+        assert.strictEqual(JSON.parse(fs.readFileSync(path.join(outputPath, "asset-manifest.json"), "utf8"))["/styles.css"], `/${stylesName}`);
+        fs.rmSync(rootPath, { recursive: true, force: true });
+    });
+
+    it("Hooks get the same result for cached pages as for created ones", async () => {
+
+        // Create site with a page exporting both data & a component
+        const rootPath = fs.mkdtempSync(path.join(os.tmpdir(), "host-mdx-hooks-"));
+        const inputPath = path.join(rootPath, "site");
+        const outputPath = path.join(rootPath, "out");
+        fs.mkdirSync(inputPath);
+        fs.mkdirSync(outputPath);
+        fs.writeFileSync(path.join(inputPath, "page.mdx"), "export const summary = \"Hi\";\nexport const Note = () => <p>Note</p>;\n\n# Page\n\n<Note />");
+
+
+        // Build twice while recording results given to hook
+        const results = [];
+        const configs = { cacheDir: path.join(rootPath, "cache"), onFileChangeEnd: (inputPath, outputPath, currentPath, targetPath, wasDeleted, result) => { results.push(result); } };
+        const reports = [await createSite(inputPath, outputPath, null, undefined, configs), await createSite(inputPath, outputPath, null, undefined, configs)];
+        assert.deepStrictEqual(reports.map(report => report.files[0].status), ["created", "cached"]);
+        assert.deepStrictEqual(results[0].exports, { summary: "Hi" });
+        assert.deepStrictEqual(results[1], results[0]);
+        fs.rmSync(rootPath, { recursive: true, force: true });
+    });
+});
+describe("Testing layouts", () => {
+
+    it("Layouts are bundled once per build & rendered for each page", async () => {
+
+        // Create site with pages sharing a layout, counting every time bundler loads it
+        const rootPath = fs.mkdtempSync(path.join(os.tmpdir(), "host-mdx-layouts-"));
+        const inputPath = path.join(rootPath, "site");
+        const outputPath = path.join(rootPath, "out");
+        fs.mkdirSync(inputPath);
+        fs.mkdirSync(outputPath);
+        fs.writeFileSync(path.join(inputPath, "_layout.jsx"), "export default ({ children, frontmatter }) => <main data-title={frontmatter.title}>{children}</main>;");
+        ["a", "b", "c"].forEach(name => fs.writeFileSync(path.join(inputPath, `${name}.mdx`), `---\ntitle: ${name.toUpperCase()}\n---\n# ${name}`));
+        let layoutLoads = 0;
+        const countingPlugin = { name: "count-layout-loads", setup: (build) => { build.onLoad({ filter: /_layout\.jsx$/ }, () => { layoutLoads++; return undefined; }); } };
+        const configs = {
+            cache: false,
+            cacheDir: path.join(rootPath, "cache"),
+            modBundleMDXSettings: (inputPath, outputPath, settings) => ({
+                ...settings,
+                esbuildOptions: (options, frontmatter) => {
+                    options = settings.esbuildOptions(options, frontmatter);
+                    options.plugins = [countingPlugin, ...(options.plugins ?? [])];
+                    return options;
+                }
+            })
+        };
+
+
+        // Check each page got its own props, Layout is bundled again on next build
+        await createSite(inputPath, outputPath, null, undefined, configs);
+        assert.strictEqual(layoutLoads, 1);
+        assert.ok(fs.readFileSync(path.join(outputPath, "b.html"), "utf8").includes(`<main data-title="B"><h1>b</h1></main>`));
+        await createSite(inputPath, outputPath, null, undefined, configs);
+        assert.strictEqual(layoutLoads, 2);
+        fs.rmSync(rootPath, { recursive: true, force: true });
+    });
+});
+describe("Testing drafts", () => {
+
+    it("Draft banner is only added while hosting, never to created files", async () => {
+
+        // Create site including drafts, as --create-only --include-drafts does
+        const rootPath = fs.mkdtempSync(path.join(os.tmpdir(), "host-mdx-drafts-"));
+        const inputPath = path.join(rootPath, "site");
+        const outputPath = path.join(rootPath, "out");
+        fs.mkdirSync(inputPath);
+        fs.mkdirSync(outputPath);
+        fs.writeFileSync(path.join(inputPath, "draft.mdx"), "---\ndraft: true\n---\n# Draft");
+        await createSite(inputPath, outputPath, null, undefined, { cache: false, cacheDir: path.join(rootPath, "cache"), includeDrafts: true });
+        assert.ok(!fs.readFileSync(path.join(outputPath, "draft.html"), "utf8").includes("hostmdx-draft-banner"));
+
+
+        // Host site, Served page has banner while its file does not
+        let port = -1;
+        const hostMdx = new HostMdx(inputPath, outputPath, { cache: false, cacheDir: path.join(rootPath, "cache"), liveReload: false, onHostStarted: (inputPath, outputPath, hostPort) => { port = hostPort; } });
+        assert.ok(await hostMdx.start());
+        const html = await (await fetch(`http://localhost:${port}/draft.html`)).text();
+        await hostMdx.stop();
+        assert.ok(html.includes(`<div id="hostmdx-draft-banner"`));
+        assert.ok(!fs.readFileSync(path.join(outputPath, "draft.html"), "utf8").includes("hostmdx-draft-banner"));
+        fs.rmSync(rootPath, { recursive: true, force: true });
+    });
+});
+describe("Testing images", () => {
+
+    it("Local images get responsive variants which are reused from cache", async () => {
+
+        // Create site with a 4x2 png used by a page in a sub directory
+        const rootPath = fs.mkdtempSync(path.join(os.tmpdir(), "host-mdx-images-"));
+        const inputPath = path.join(rootPath, "site");
+        const outputPath = path.join(rootPath, "out");
+        const cacheDir = path.join(rootPath, "cache");
+        fs.mkdirSync(path.join(inputPath, "blog"), { recursive: true });
+        fs.mkdirSync(outputPath);
+        fs.writeFileSync(path.join(inputPath, "dot.png"), Buffer.from("iVBORw0KGgoAAAANSUhEUgAAAAQAAAACCAIAAADwyuo0AAAAEElEQVR4nGP4z8AARwzIHABvqgf5gNwAKAAAAABJRU5ErkJggg==", "base64"));
+        fs.writeFileSync(path.join(inputPath, "blog", "post.mdx"), "# Post\n\n![Dot](../dot.png)");
+        const configs = { cacheDir, images: { widths: [2], formats: ["webp"], sizes: "50vw" } };
+        await createSite(inputPath, outputPath, null, undefined, configs);
+
+
+        // Check picture markup references variants relative to page
+        const variantNames = fs.readdirSync(path.join(outputPath, "_images")).sort();
+        assert.deepStrictEqual(variantNames.map(name => name.replace(/\.\w+\.webp$/, "")), ["dot-2", "dot-4"]);
+        const html = fs.readFileSync(path.join(outputPath, "blog", "post.html"), "utf8");
+        const srcset = variantNames.map(name => `../_images/${name} ${name.split(/[-.]/)[1]}w`).join(", ");
+        assert.ok(html.includes(`<picture><source type="image/webp" srcset="${srcset}" sizes="50vw"><img src="../dot.png" alt="Dot" width="4" height="2" loading="lazy" decoding="async"></picture>`));
+
+
+        // Recreate page, Variants are copied from cache instead of encoded again
+        const getCacheTimes = () => fs.readdirSync(path.join(cacheDir, "images")).map(name => fs.statSync(path.join(cacheDir, "images", name)).mtimeMs);
+        const cacheTimes = getCacheTimes();
+        assert.strictEqual(cacheTimes.length, 2);
+        fs.writeFileSync(path.join(inputPath, "blog", "post.mdx"), "# Edited post\n\n![Dot](../dot.png)");
+        const report = await createSite(inputPath, outputPath, null, undefined, configs);
+        assert.strictEqual(report.files.find(file => file.inputPath.endsWith("post.mdx")).status, "created");
+        assert.deepStrictEqual(getCacheTimes(), cacheTimes);
+        assert.deepStrictEqual(fs.readdirSync(path.join(outputPath, "_images")).sort(), variantNames);
+        fs.rmSync(rootPath, { recursive: true, force: true });
+    });
+});
@@ -0,0 +1,77 @@
+import os from "node:os";
+import fs from "node:fs";
+import path from "node:path";
+import assert from "node:assert";
+import { describe, it } from "node:test";
+import { DependencyGraph } from "../dependency-graph.js";
+
+
+// Tests
+describe("Testing dependency graph persistence", () => {
+
+    it("Restores saved graph & only analyses changed files again", async () => {
+
+        // Create site where page uses a component importing a util
+        const rootPath = fs.mkdtempSync(path.join(os.tmpdir(), "host-mdx-graph-"));
+        const inputPath = path.join(rootPath, "site");
+        const graphFilePath = path.join(rootPath, "cache", "dependency-graph.json");
+        fs.mkdirSync(inputPath);
+        fs.writeFileSync(path.join(inputPath, "page.mdx"), "import Component from './component.jsx';\n\n<Component />");
+        fs.writeFileSync(path.join(inputPath, "component.jsx"), "import util from './util.js';\nexport default () => util;");
+        fs.writeFileSync(path.join(inputPath, "util.js"), "export default 1;");
+
+
+        // Save graph with page dependencies set by bundler
+        const graph = new DependencyGraph();
+        await graph.createGraph(inputPath);
+        await graph.setDependencies(path.join(inputPath, "page.mdx"), [path.join(inputPath, "component.jsx")]);
+        await graph.saveGraph(graphFilePath);
+
+
+        // Restore without analysing anything, keeping bundler dependencies of page
+        const restored = new DependencyGraph();
+        assert.strictEqual(await restored.loadGraph(graphFilePath, inputPath), 0);
+        assert.deepStrictEqual([...restored.getDeepDependents(path.join(inputPath, "util.js"))].sort(), [path.join(inputPath, "component.jsx"), path.join(inputPath, "page.mdx")]);
+
+
+        // Change component, Only it is analysed again
+        fs.writeFileSync(path.join(inputPath, "component.jsx"), "export default () => 2;");
+        const changed = new DependencyGraph();
+        assert.strictEqual(await changed.loadGraph(graphFilePath, inputPath), 1);
+        assert.deepStrictEqual([...changed.getDependents(path.join(inputPath, "util.js"))], []);
+        assert.deepStrictEqual([...changed.getDependencies(path.join(inputPath, "page.mdx"))], [path.join(inputPath, "component.jsx")]);
+
+
+        // Change page, It keeps dependencies set by bundler until built again
+        fs.writeFileSync(path.join(inputPath, "page.mdx"), "import Component from './component.jsx';\n\n# Title\n\n<Component />");
+        const changedPage = new DependencyGraph();
+        assert.strictEqual(await changedPage.loadGraph(graphFilePath, inputPath), 2);
+        assert.deepStrictEqual([...changedPage.getDeepDependents(path.join(inputPath, "component.jsx"))], [path.join(inputPath, "page.mdx")]);
+        fs.rmSync(rootPath, { recursive: true, force: true });
+    });
+
+    it("Unreadable saved graph is reported instead of silently replaced", async () => {
+        const rootPath = fs.mkdtempSync(path.join(os.tmpdir(), "host-mdx-graph-"));
+        const graphFilePath = path.join(rootPath, "dependency-graph.json");
+        fs.writeFileSync(graphFilePath, "{ corrupt");
+        await assert.rejects(new DependencyGraph().loadGraph(graphFilePath, rootPath), SyntaxError);
+        assert.strictEqual(await new DependencyGraph().loadGraph(path.join(rootPath, "missing.json"), rootPath), 1);
+        fs.rmSync(rootPath, { recursive: true, force: true });
+    });
+
+    it("Creates fresh graph if saved one was made with other aliases", async () => {
+        const rootPath = fs.mkdtempSync(path.join(os.tmpdir(), "host-mdx-graph-"));
+        const inputPath = path.join(rootPath, "site");
+        const graphFilePath = path.join(rootPath, "dependency-graph.json");
+        fs.mkdirSync(inputPath);
+        fs.writeFileSync(path.join(inputPath, "util.js"), "export default 1;");
+        const graph = new DependencyGraph();
+        await graph.createGraph(inputPath);
+        await graph.saveGraph(graphFilePath);
+
+        const restored = new DependencyGraph();
+        restored.setAlias({ "@": inputPath });
+        assert.strictEqual(await restored.loadGraph(graphFilePath, inputPath), 1);
+        fs.rmSync(rootPath, { recursive: true, force: true });
+    });
+});
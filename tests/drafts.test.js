@@ -0,0 +1,23 @@
+import assert from "node:assert";
+import { describe, it } from "node:test";
+import { isDraft, injectDraftBanner } from "../drafts.js";
+
+
+// Tests
+describe("Testing drafts", () => {
+
+    const now = new Date("2026-06-01T00:00:00Z");
+
+    it("Drafts & pages dated in the future are not published", () => {
+        assert.ok(isDraft({ draft: true }, now));
+        assert.ok(isDraft({ date: new Date("2026-06-02") }, now));
+        assert.ok(!isDraft({ date: "2026-05-31" }, now));
+        assert.ok(!isDraft({ date: "not a date" }, now));
+        assert.ok(!isDraft({}, now));
+    });
+
+    it("Banner is inserted just after opening body tag", () => {
+        const html = injectDraftBanner(`<html><body class="a"><h1>Hi</h1></body></html>`, { draft: true }, now);
+        assert.match(html, /^<html><body class="a"><div id="hostmdx-draft-banner"[^>]*>Draft: [^<]*<\/div><h1>Hi<\/h1>/);
+    });
+});
@@ -0,0 +1,27 @@
+import assert from "node:assert";
+import { describe, it } from "node:test";
+import { createCodeFrame, injectErrorOverlay } from "../error-overlay.js";
+
+
+// Tests
+describe("Testing error overlay", () => {
+
+    it("Marks failing line & column in code frame", () => {
+        const frame = createCodeFrame("a\nb\nbroken {\nc\nd\ne", 3, 8);
+        assert.strictEqual(frame, [
+            "  1 | a",
+            "  2 | b",
+            "> 3 | broken {",
+            "    |        ^",
+            "  4 | c",
+            "  5 | d"
+        ].join("\n"));
+    });
+
+    it("Escapes error message & injects before closing body tag", () => {
+        const html = injectErrorOverlay("<html><body><p>Old</p></body></html>", { message: "<b>bad</b>", file: "/in/a.mdx", line: 1 });
+        assert.match(html, /<p>Old<\/p><div id="hostmdx-error-overlay".*<\/div><\/body><\/html>$/s);
+        assert.ok(html.includes("&lt;b&gt;bad&lt;/b&gt;"));
+        assert.ok(html.includes("/in/a.mdx:1:1"));
+    });
+});
@@ -0,0 +1,53 @@
+import os from "node:os";
+import fs from "node:fs";
+import path from "node:path";
+import assert from "node:assert";
+import { describe, it } from "node:test";
+import { getCollection, isInCollection, getFeedItems, createRss, createAtom, writeFeeds } from "../feeds.js";
+
+
+// Tests
+describe("Testing feeds", () => {
+
+    const collection = getCollection("blog", { match: "blog/*.mdx", title: "Tom & Jerry", includeHtml: true, limit: 2 });
+    const pages = [
+        { urlPath: "/blog/old.html", frontmatter: { title: "Old", date: "2024-01-01" }, html: "<p>old</p>" },
+        { urlPath: "/blog/new.html", frontmatter: { title: "<New>", date: "2025-01-01", summary: "A \"quoted\" summary" }, exports: { title: "Exported" }, html: "<p>]]></p>" },
+        { urlPath: "/blog/undated.html", frontmatter: {}, html: "" }
+    ];
+
+    it("Only pages matching collection are included", () => {
+        assert.strictEqual(collection.rss, "blog/rss.xml");
+        assert.ok(isInCollection(collection, path.join("blog", "post.mdx")));
+        assert.ok(!isInCollection(collection, path.join("docs", "post.mdx")));
+        assert.ok(!isInCollection(getCollection("all", {}), "post.mdx"));
+    });
+
+    it("Items are newest first, limited & prefer exports over frontmatter", () => {
+        const items = getFeedItems(collection, pages);
+        assert.deepStrictEqual(items.map(item => item.title), ["Exported", "Old"]);
+        assert.deepStrictEqual(getFeedItems({ ...collection, limit: Infinity }, pages).map(item => item.urlPath), ["/blog/new.html", "/blog/old.html", "/blog/undated.html"]);
+    });
+
+    it("Text & urls are escaped", () => {
+        const items = getFeedItems(collection, [{ ...pages[1], exports: {} }]);
+        const rss = createRss("https://example.com", collection, items, collection.rss);
+        assert.ok(rss.includes("<title>Tom &amp; Jerry</title>"));
+        assert.ok(rss.includes("<title>&lt;New&gt;</title>"));
+        assert.ok(rss.includes("<description>A &quot;quoted&quot; summary</description>"));
+        assert.ok(rss.includes("<content:encoded><![CDATA[<p>]]]]><![CDATA[></p>]]></content:encoded>"));
+        assert.ok(rss.includes(`<atom:link href="https://example.com/blog/rss.xml" rel="self" type="application/rss+xml"/>`));
+
+        const atom = createAtom("https://example.com", collection, items, "blog/atom.xml");
+        assert.ok(atom.includes(`<content type="html">&lt;p&gt;]]&gt;&lt;/p&gt;</content>`));
+        assert.ok(atom.includes("<updated>2025-01-01T00:00:00.000Z</updated>"));
+    });
+
+    it("Only configured feeds are written", async () => {
+        const outputPath = fs.mkdtempSync(path.join(os.tmpdir(), "host-mdx-feeds-"));
+        const writtenPaths = await writeFeeds("https://example.com", outputPath, { ...collection, atom: "blog/atom.xml" }, pages);
+        assert.deepStrictEqual(writtenPaths, [path.join(outputPath, "blog", "rss.xml"), path.join(outputPath, "blog", "atom.xml")]);
+        assert.deepStrictEqual(await writeFeeds("https://example.com", outputPath, { ...collection, rss: false }, pages), []);
+        fs.rmSync(outputPath, { recursive: true, force: true });
+    });
+});
@@ -0,0 +1,24 @@
+import assert from "node:assert";
+import { describe, it } from "node:test";
+import { getFingerprintedPath, rewriteCss, rewriteHtml } from "../fingerprint.js";
+
+
+// Tests
+describe("Testing asset fingerprinting", () => {
+
+    const assets = { "/static/styles.css": "/static/styles.3f9a1c2b.css", "/img/my logo.png": "/img/my logo.0a1b2c3d.png" };
+
+    it("Hash is added before extension", () => {
+        assert.match(getFingerprintedPath("/static/app.min.js", "code"), /^\/static\/app\.min\.[0-9a-f]{8}\.js$/);
+    });
+
+    it("Absolute & relative references in html are rewritten", () => {
+        const html = `<link href="/static/styles.css?v=2"><img src="../img/my%20logo.png" srcset="../img/my%20logo.png 1x, https://example.com/static/styles.css 2x"><a href="/about/">`;
+        assert.strictEqual(rewriteHtml(html, assets, "/blog/"), `<link href="/static/styles.3f9a1c2b.css?v=2"><img src="../img/my%20logo.0a1b2c3d.png" srcset="../img/my%20logo.0a1b2c3d.png 1x, https://example.com/static/styles.css 2x"><a href="/about/">`);
+    });
+
+    it("Urls & imports in css are resolved relative to css file", () => {
+        const css = `@import "styles.css";\nbody { background: url('../img/my logo.png'); }`;
+        assert.strictEqual(rewriteCss(css, assets, "/static/"), `@import "styles.3f9a1c2b.css";\nbody { background: url('../img/my logo.0a1b2c3d.png'); }`);
+    });
+});
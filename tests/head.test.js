@@ -0,0 +1,54 @@
+import assert from "node:assert";
+import { describe, it } from "node:test";
+import { mergeHeadTags, createHtmlDocument } from "../head.js";
+
+
+// Tests
+describe("Testing head tag merging", () => {
+
+    it("Later tags replace earlier ones with the same key", () => {
+        const merged = mergeHeadTags(
+            [{ tag: "title", children: "Site" }, { tag: "meta", name: "description", content: "site" }],
+            [{ tag: "meta", name: "description", content: "page" }, { tag: "title", children: "Page" }]
+        );
+        assert.deepStrictEqual(merged, [
+            { tag: "title", children: "Page" },
+            { tag: "meta", name: "description", content: "page" }
+        ]);
+    });
+
+    it("Duplicate stylesheets are only kept once", () => {
+        const stylesheet = { tag: "link", rel: "stylesheet", href: "/styles.css" };
+        const merged = mergeHeadTags([stylesheet], [{ ...stylesheet }, { tag: "link", rel: "stylesheet", href: "/other.css" }]);
+        assert.strictEqual(merged.length, 2);
+    });
+});
+describe("Testing html document creation", () => {
+
+    it("Fragments are wrapped in a complete document", () => {
+        const html = createHtmlDocument("<h1>Hi</h1>", [{ tag: "title", children: "Hi & bye" }]);
+        assert.strictEqual(html, "<!DOCTYPE html><html><head><title>Hi &amp; bye</title></head><body><h1>Hi</h1></body></html>");
+    });
+
+    it("Tags are inserted into an existing head", () => {
+        const html = createHtmlDocument("<html><head><meta charset=\"utf-8\"/></head><body><header></header></body></html>", [{ tag: "script", children: "1 < 2" }]);
+        assert.strictEqual(html, "<!DOCTYPE html><html><head><script>1 < 2</script><meta charset=\"utf-8\"/></head><body><header></header></body></html>");
+    });
+
+    it("Tags already in a rendered head are not duplicated", () => {
+        const layoutHtml = "<html><head><title>Layout</title><meta name=\"description\" content=\"layout\"/><link rel=\"canonical\" href=\"/old/\"/></head><body></body></html>";
+        const html = createHtmlDocument(
+            layoutHtml,
+            [{ tag: "link", rel: "canonical", href: "/new/" }],
+            [{ tag: "title", children: "Site" }, { tag: "meta", name: "description", content: "site" }, { tag: "meta", name: "author", content: "me" }]
+        );
+        assert.strictEqual(html, "<!DOCTYPE html><html><head><meta name=\"author\" content=\"me\"/><link rel=\"canonical\" href=\"/new/\"/><title>Layout</title><meta name=\"description\" content=\"layout\"/></head><body></body></html>");
+    });
+
+    it("Tags from <Head> replace ones of a rendered head with the same attribute under its prop name", () => {
+        const layoutHtml = "<html><head><meta http-equiv=\"refresh\" content=\"10\"/><meta charset=\"utf-8\"/></head><body></body></html>";
+        const html = createHtmlDocument(layoutHtml, [{ tag: "meta", httpEquiv: "refresh", content: "5" }], [{ tag: "meta", charSet: "utf-8" }]);
+        assert.strictEqual(html, "<!DOCTYPE html><html><head><meta http-equiv=\"refresh\" content=\"5\"/><meta charset=\"utf-8\"/></head><body></body></html>");
+        assert.strictEqual(mergeHeadTags([{ tag: "meta", "http-equiv": "refresh", content: "10" }], [{ tag: "meta", httpEquiv: "refresh", content: "5" }]).length, 1);
+    });
+});
@@ -0,0 +1,27 @@
+import assert from "node:assert";
+import { describe, it } from "node:test";
+import { compileHeaders, getMatchingHeaders } from "../headers.js";
+
+
+// Tests
+describe("Testing headers from configs", () => {
+
+    const headers = compileHeaders({
+        "*": { "X-Frame-Options": "DENY" },
+        "/static/**": { "Cache-Control": "max-age=31536000" },
+        "*.html": { "Cache-Control": "no-cache", "X-Page": "yes" },
+        "/blog/": { "X-Blog": "yes" }
+    });
+
+    it("Headers of every matching pattern are combined, later ones replacing earlier", () => {
+        assert.deepStrictEqual(getMatchingHeaders(headers, "/static/app.css"), { "X-Frame-Options": "DENY", "Cache-Control": "max-age=31536000" });
+        assert.deepStrictEqual(getMatchingHeaders(headers, "/static/page.html"), { "X-Frame-Options": "DENY", "Cache-Control": "no-cache", "X-Page": "yes" });
+    });
+
+    it("Directory urls are matched as their index file & url paths are decoded", () => {
+        assert.deepStrictEqual(getMatchingHeaders(headers, "/"), { "X-Frame-Options": "DENY", "Cache-Control": "no-cache", "X-Page": "yes" });
+        assert.deepStrictEqual(getMatchingHeaders(headers, "/blog/"), { "X-Frame-Options": "DENY", "Cache-Control": "no-cache", "X-Page": "yes", "X-Blog": "yes" });
+        assert.deepStrictEqual(getMatchingHeaders(compileHeaders({ "/my page.txt": { "X-Space": "yes" } }), "/my%20page.txt"), { "X-Space": "yes" });
+        assert.deepStrictEqual(getMatchingHeaders(headers, "/%E0%A4"), {});
+    });
+});
@@ -0,0 +1,22 @@
+import assert from "node:assert";
+import { describe, it } from "node:test";
+import { escapeHtml, injectIntoBody } from "../html.js";
+
+
+// Tests
+describe("Testing html helpers", () => {
+
+    it("Text is escaped for use in elements & attributes", () => {
+        assert.strictEqual(escapeHtml(`<a href="x">Tom's & Jerry's</a>`), "&lt;a href=&quot;x&quot;&gt;Tom&#39;s &amp; Jerry&#39;s&lt;/a&gt;");
+    });
+
+    it("Snippets are inserted before closing body tag or just after opening one", () => {
+        assert.strictEqual(injectIntoBody("<html><body><h1>Hi</h1></BODY></html>", "<div></div>"), "<html><body><h1>Hi</h1><div></div></BODY></html>");
+        assert.strictEqual(injectIntoBody("<html><body class=\"a\"><h1>Hi</h1></body></html>", "<div></div>", true), "<html><body class=\"a\"><div></div><h1>Hi</h1></body></html>");
+    });
+
+    it("Snippets are added at start or end when there is no body tag", () => {
+        assert.strictEqual(injectIntoBody("<h1>Hi</h1>", "<div></div>"), "<h1>Hi</h1><div></div>");
+        assert.strictEqual(injectIntoBody("<h1>Hi</h1>", "<div></div>", true), "<div></div><h1>Hi</h1>");
+    });
+});
@@ -0,0 +1,29 @@
+import assert from "node:assert";
+import { describe, it } from "node:test";
+import { LocaleDetection, getI18nOptions, getLocaleTargets, getPreferredLocale, parseLocalePath } from "../i18n.js";
+
+
+// Tests
+describe("Testing i18n", () => {
+
+    const options = getI18nOptions({ locales: ["en", "de", "pt-BR"], detection: LocaleDetection.SUFFIX });
+
+    it("Locale is detected from suffix or directory", () => {
+        assert.deepStrictEqual(parseLocalePath("docs/about.de.mdx", options), { locale: "de", key: "docs/about.mdx" });
+        assert.deepStrictEqual(parseLocalePath("docs/v1.2.mdx", options), { locale: "en", key: "docs/v1.2.mdx" });
+        assert.deepStrictEqual(parseLocalePath("de/about.mdx", { ...options, detection: LocaleDetection.DIRECTORY }), { locale: "de", key: "about.mdx" });
+        assert.strictEqual(parseLocalePath("static/about.mdx", { ...options, detection: LocaleDetection.DIRECTORY }), undefined);
+        assert.throws(() => getI18nOptions({ locales: ["en"], defaultLocale: "fr" }));
+    });
+
+    it("Default locale pages are fallbacks for untranslated locales", () => {
+        assert.deepStrictEqual(getLocaleTargets("about.mdx", "en", new Set(["en", "de"]), options), ["en", "pt-BR"]);
+        assert.deepStrictEqual(getLocaleTargets("about.mdx", "de", new Set(["en", "de"]), options), ["de"]);
+    });
+
+    it("Preferred locale is picked by quality & primary language", () => {
+        assert.strictEqual(getPreferredLocale("fr;q=0.9, pt;q=0.8, de;q=0.7", options.locales, "en"), "pt-BR");
+        assert.strictEqual(getPreferredLocale("de-AT, en;q=0.5", options.locales, "en"), "de");
+        assert.strictEqual(getPreferredLocale(undefined, options.locales, "en"), "en");
+    });
+});
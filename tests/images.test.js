@@ -0,0 +1,29 @@
+import assert from "node:assert";
+import { describe, it } from "node:test";
+import { getImageSize, getVariantWidths } from "../images.js";
+
+
+// Tests
+describe("Testing image processing", () => {
+
+    it("Dimensions are read from png & jpeg headers", () => {
+
+        // Png with IHDR of 640x480
+        const png = Buffer.alloc(24);
+        png.writeUInt32BE(0x89504E47, 0);
+        png.writeUInt32BE(640, 16);
+        png.writeUInt32BE(480, 20);
+        assert.deepStrictEqual(getImageSize(png), { width: 640, height: 480 });
+
+
+        // Jpeg with an APP0 segment followed by start of frame of 300x200
+        const jpeg = Buffer.from([0xFF, 0xD8, 0xFF, 0xE0, 0x00, 0x04, 0x00, 0x00, 0xFF, 0xC0, 0x00, 0x11, 0x08, 0x00, 0xC8, 0x01, 0x2C, 0x03]);
+        assert.deepStrictEqual(getImageSize(jpeg), { width: 300, height: 200 });
+        assert.strictEqual(getImageSize(Buffer.from("not an image")), undefined);
+    });
+
+    it("Variants wider than the original are skipped", () => {
+        assert.deepStrictEqual(getVariantWidths(1000, [480, 960, 1440]), [480, 960, 1000]);
+        assert.deepStrictEqual(getVariantWidths(300, [480, 960]), [300]);
+    });
+});
@@ -0,0 +1,40 @@
+import os from "node:os";
+import fs from "node:fs";
+import path from "node:path";
+import assert from "node:assert";
+import { describe, it } from "node:test";
+import { LinkError, checkLinks, getLinks } from "../links.js";
+
+
+// Tests
+describe("Testing link checker", () => {
+
+    it("External urls are skipped & srcset candidates are split", () => {
+        const html = `<a href="https://example.com/">x</a><a href="mailto:me@example.com">y</a>\n<img src="a.png" srcset="b.png 1x, /c.png?v=1&amp;w=2 2x">`;
+        assert.deepStrictEqual(getLinks(html), [{ url: "a.png", line: 2 }, { url: "b.png", line: 2 }, { url: "/c.png?v=1&w=2", line: 2 }]);
+    });
+
+    it("Missing files & anchors are reported against source line", async () => {
+
+        // Create input page & its output
+        const inputPath = fs.mkdtempSync(path.join(os.tmpdir(), "host-mdx-links-input-"));
+        const outputPath = fs.mkdtempSync(path.join(os.tmpdir(), "host-mdx-links-output-"));
+        fs.writeFileSync(path.join(inputPath, "index.mdx"), "# Home\n\n[About](about/#team) [Gone](/gone/)\n");
+        fs.writeFileSync(path.join(outputPath, "index.html"), `<h1 id="home">Home</h1><a href="about/#team">About</a><a href="/gone/">Gone</a><a href="#home">Top</a><a href="/old/page">Old</a>`);
+        fs.mkdirSync(path.join(outputPath, "about"));
+        fs.writeFileSync(path.join(outputPath, "about", "index.html"), `<h2 id="history">History</h2><a href="../">Home</a>`);
+        const manifestPath = `${outputPath}-manifest.json`;
+        fs.writeFileSync(manifestPath, JSON.stringify({ version: 1, files: { "index.mdx": ["index.html"] } }));
+
+
+        // Check only missing anchor & file are reported, Redirected urls are fine
+        const brokenLinks = await checkLinks(outputPath, inputPath, [{ from: "/old/:slug", to: "/new/:slug", status: 301 }], manifestPath);
+        assert.deepStrictEqual(brokenLinks.map(({ url, reason, file, line }) => ({ url, reason, file, line })), [
+            { url: "about/#team", reason: LinkError.MISSING_ANCHOR, file: path.join(inputPath, "index.mdx"), line: 3 },
+            { url: "/gone/", reason: LinkError.MISSING_FILE, file: path.join(inputPath, "index.mdx"), line: 3 }
+        ]);
+        fs.rmSync(inputPath, { recursive: true, force: true });
+        fs.rmSync(outputPath, { recursive: true, force: true });
+        fs.rmSync(manifestPath, { force: true });
+    });
+});
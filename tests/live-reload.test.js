@@ -0,0 +1,32 @@
+import path from "node:path";
+import assert from "node:assert";
+import { describe, it } from "node:test";
+import { injectLiveReloadScript, urlToHtmlPath, LIVE_RELOAD_SCRIPT } from "../live-reload.js";
+
+
+// Tests
+describe("Testing live reload script injection", () => {
+
+    it("Script is inserted just before closing body tag", () => {
+        const html = injectLiveReloadScript("<html><body><h1>Hi</h1></BODY></html>");
+        assert.strictEqual(html, `<html><body><h1>Hi</h1>${LIVE_RELOAD_SCRIPT}</BODY></html>`);
+    });
+
+    it("Script is appended when there is no body tag", () => {
+        const html = injectLiveReloadScript("<h1>Hi</h1>");
+        assert.strictEqual(html, `<h1>Hi</h1>${LIVE_RELOAD_SCRIPT}`);
+    });
+});
+describe("Testing url to html path mapping", () => {
+
+    const hostDir = path.resolve("/tmp/site");
+
+    it("Directory urls map to their index file", () => {
+        assert.strictEqual(urlToHtmlPath(hostDir, "/"), path.join(hostDir, "index.html"));
+        assert.strictEqual(urlToHtmlPath(hostDir, "/blog/page%201/"), path.join(hostDir, "blog", "page 1", "index.html"));
+    });
+
+    it("Non html urls are not mapped", () => {
+        assert.strictEqual(urlToHtmlPath(hostDir, "/static/styles.css"), "");
+    });
+});
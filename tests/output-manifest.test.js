@@ -0,0 +1,38 @@
+import os from "node:os";
+import fs from "node:fs";
+import path from "node:path";
+import assert from "node:assert";
+import { describe, it } from "node:test";
+import { OutputManifest } from "../output-manifest.js";
+
+
+// Tests
+describe("Testing output manifest", () => {
+
+    it("Removes previously created files which are no longer created", async () => {
+
+        // Create output with one created & one foreign file, Manifest is kept outside of it
+        const rootPath = fs.mkdtempSync(path.join(os.tmpdir(), "host-mdx-manifest-"));
+        const outputPath = path.join(rootPath, "out");
+        const manifestPath = path.join(rootPath, "cache", "output-manifest.json");
+        fs.mkdirSync(outputPath);
+        fs.writeFileSync(path.join(outputPath, "old.html"), "");
+        fs.writeFileSync(path.join(outputPath, "CNAME"), "");
+        const manifest = new OutputManifest(outputPath, manifestPath);
+        manifest.set("page.mdx", [path.join(outputPath, "old.html")]);
+        await manifest.save();
+
+
+        // Reload & change output of page
+        const reloaded = new OutputManifest(outputPath, manifestPath);
+        assert.strictEqual(await reloaded.load(), true);
+        const stalePaths = await reloaded.update("page.mdx", [path.join(outputPath, "new.html")]);
+
+
+        // Check only stale file removed
+        assert.deepStrictEqual(stalePaths, [path.join(outputPath, "old.html")]);
+        assert.deepStrictEqual(fs.readdirSync(outputPath).sort(), ["CNAME"]);
+        assert.deepStrictEqual(reloaded.delete("page.mdx"), [path.join(outputPath, "new.html")]);
+        fs.rmSync(rootPath, { recursive: true, force: true });
+    });
+});
@@ -0,0 +1,43 @@
+import assert from "node:assert";
+import { describe, it } from "node:test";
+import { countWords, createPageData, createPagesQuery, getHeadings } from "../pages.js";
+
+
+// Tests
+describe("Testing pages metadata & queries", () => {
+
+    const mdxCode = "---\ntitle: Post\n---\n\nimport { Box } from './box.jsx';\n\n# Hello *world*\n\nSome [linked](/a/) words <Box>inside</Box>\n\n```js\n# not a heading\n```\n\n## Details ##\n";
+
+    it("Headings & word count skip frontmatter, imports & code blocks", () => {
+        assert.deepStrictEqual(getHeadings(mdxCode), [{ depth: 1, text: "Hello world" }, { depth: 2, text: "Details" }]);
+        assert.strictEqual(countWords(mdxCode), 7);
+    });
+
+    it("Pages are matched, filtered, sorted & limited", () => {
+        const pages = [
+            createPageData("blog/a.mdx", "/blog/a.html", "---\ndate: 2024-01-01\n---\n"),
+            createPageData("blog/b.mdx", "/blog/b.html", "---\ndate: 2024-03-01\n---\n"),
+            createPageData("blog/c.mdx", "/blog/c.html", "---\ndraft: false\n---\n"),
+            createPageData("about.mdx", "/about.html", "", { order: 1 })
+        ];
+        const queried = [];
+        const hostmdxPages = createPagesQuery(pages, (results) => queried.push(...results.map(page => page.filePath)));
+
+        assert.deepStrictEqual(hostmdxPages("blog/*.mdx", { sortBy: "date", order: "desc" }).map(page => page.filePath), ["blog/b.mdx", "blog/a.mdx", "blog/c.mdx"]);
+        assert.deepStrictEqual(hostmdxPages(["*.mdx", "!blog/"], { filter: (page) => page.exports.order === 1 }).map(page => page.urlPath), ["/about.html"]);
+        assert.strictEqual(hostmdxPages("", { limit: 2 }).length, 2);
+        assert.deepStrictEqual(new Set(queried), new Set(["blog/a.mdx", "blog/b.mdx", "blog/c.mdx", "about.mdx"]));
+    });
+
+    it("Dates mixed with other text are sorted as text", () => {
+        const pages = [
+            createPageData("c.mdx", "/c.html", "---\ndate: soon\n---\n"),
+            createPageData("a.mdx", "/a.html", "---\ndate: 2024-01-01\n---\n"),
+            createPageData("b.mdx", "/b.html", "---\ndate: 2023-01-01\n---\n")
+        ];
+        const hostmdxPages = createPagesQuery(pages);
+
+        assert.deepStrictEqual(hostmdxPages("", { sortBy: "date" }).map(page => page.filePath), ["b.mdx", "a.mdx", "c.mdx"]);
+        assert.deepStrictEqual(hostmdxPages("", { sortBy: "date", order: "desc" }).map(page => page.filePath), ["c.mdx", "a.mdx", "b.mdx"]);
+    });
+});
@@ -0,0 +1,24 @@
+import assert from "node:assert";
+import { describe, it } from "node:test";
+import { getCacheControl, getETag, isNotModified, IMMUTABLE_CACHE_CONTROL, REVALIDATE_CACHE_CONTROL } from "../preview.js";
+
+
+// Tests
+describe("Testing preview caching", () => {
+
+    const stats = { size: 10, mtime: new Date("2026-01-01T00:00:00.500Z") };
+
+    it("Only hashed files are cached as immutable", () => {
+        assert.strictEqual(getCacheControl("/static/styles.3f2a9c1b.css"), IMMUTABLE_CACHE_CONTROL);
+        assert.strictEqual(getCacheControl("/chunk-3f2a9c1b0d.js"), IMMUTABLE_CACHE_CONTROL);
+        assert.strictEqual(getCacheControl("/static/styles.css"), REVALIDATE_CACHE_CONTROL);
+        assert.strictEqual(getCacheControl("/blog/index.html"), REVALIDATE_CACHE_CONTROL);
+    });
+
+    it("If-None-Match takes precedence over If-Modified-Since", () => {
+        assert.ok(isNotModified({ "if-none-match": `"other", ${getETag(stats)}` }, stats));
+        assert.ok(!isNotModified({ "if-none-match": `"other"`, "if-modified-since": "Thu, 01 Jan 2026 00:00:00 GMT" }, stats));
+        assert.ok(isNotModified({ "if-modified-since": "Thu, 01 Jan 2026 00:00:00 GMT" }, stats));
+        assert.ok(!isNotModified({ "if-modified-since": "Wed, 31 Dec 2025 23:59:59 GMT" }, stats));
+    });
+});
@@ -0,0 +1,40 @@
+import path from "node:path";
+import assert from "node:assert";
+import { describe, it } from "node:test";
+import { parseRedirects, matchRedirect, isStaticRedirect, getRedirectStubPath } from "../redirects.js";
+
+
+// Tests
+describe("Testing redirect rules", () => {
+
+    const rules = parseRedirects(`
+# Moved pages
+/old            /new/
+/posts/:slug    /blog/:slug/    302
+/docs/*         /guide/:splat   308
+/invalid
+`);
+
+    it("Parses rules & skips invalid lines", () => {
+        assert.deepStrictEqual(rules.map(rule => [rule.from, rule.to, rule.status]), [
+            ["/old", "/new/", 301],
+            ["/posts/:slug", "/blog/:slug/", 302],
+            ["/docs/*", "/guide/:splat", 308]
+        ]);
+        assert.deepStrictEqual(rules.map(isStaticRedirect), [true, false, false]);
+    });
+
+    it("Matches params, splats & trailing slashes", () => {
+        assert.deepStrictEqual(matchRedirect(rules, "/old/"), { location: "/new/", status: 301 });
+        assert.deepStrictEqual(matchRedirect(rules, "/posts/hello"), { location: "/blog/hello/", status: 302 });
+        assert.deepStrictEqual(matchRedirect(rules, "/docs/a/b"), { location: "/guide/a/b", status: 308 });
+        assert.strictEqual(matchRedirect(rules, "/posts/a/b"), undefined);
+    });
+
+    it("Stubs are written at decoded paths & skipped for malformed ones", () => {
+        const outputPath = path.resolve("out");
+        assert.strictEqual(getRedirectStubPath(outputPath, "/old%20page"), path.join(outputPath, "old page", "index.html"));
+        assert.strictEqual(getRedirectStubPath(outputPath, "/old.html"), path.join(outputPath, "old.html"));
+        assert.strictEqual(getRedirectStubPath(outputPath, "/old%E0%A4"), "");
+    });
+});
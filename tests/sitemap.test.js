@@ -0,0 +1,49 @@
+import os from "node:os";
+import fs from "node:fs";
+import path from "node:path";
+import assert from "node:assert";
+import { describe, it } from "node:test";
+import { updateSitemap, readSitemap, createRobotsTxt, getPagePath, getPageUrl, SITEMAP_FILE_NAME } from "../sitemap.js";
+
+
+// Tests
+describe("Testing sitemap", () => {
+
+    it("Index pages are served at their directory", () => {
+        const outputPath = path.resolve("out");
+        assert.strictEqual(getPagePath(outputPath, path.join(outputPath, "index.html")), "/");
+        assert.strictEqual(getPagePath(outputPath, path.join(outputPath, "blog", "index.html")), "/blog/");
+        assert.strictEqual(getPagePath(outputPath, path.join(outputPath, "blog", "first post.html")), "/blog/first post.html");
+        assert.strictEqual(getPageUrl("https://example.com/docs", outputPath, path.join(outputPath, "a & b.html")), "https://example.com/docs/a%20&%20b.html");
+    });
+
+    it("Soft updates keep unchanged pages & remove deleted ones", async () => {
+
+        // Create sitemap with pages inside & outside of a directory
+        const outputPath = fs.mkdtempSync(path.join(os.tmpdir(), "host-mdx-sitemap-"));
+        await updateSitemap("https://example.com", outputPath, new Map([
+            [path.join(outputPath, "index.html"), "2026-01-01T00:00:00.000Z"],
+            [path.join(outputPath, "blog", "index.html"), "2026-01-02T00:00:00.000Z"],
+            [path.join(outputPath, "blog", "a&b.html"), "2026-01-03T00:00:00.000Z"]
+        ]), true);
+        const xml = fs.readFileSync(path.join(outputPath, SITEMAP_FILE_NAME), "utf8");
+        assert.ok(xml.includes("<loc>https://example.com/blog/a&amp;b.html</loc>"));
+
+
+        // Update home page & remove blog directory
+        await updateSitemap("https://example.com", outputPath, new Map([
+            [path.join(outputPath, "index.html"), "2026-02-01T00:00:00.000Z"],
+            [path.join(outputPath, "blog"), null]
+        ]));
+        const entries = await readSitemap(path.join(outputPath, SITEMAP_FILE_NAME));
+        assert.deepStrictEqual([...entries], [["https://example.com/", "2026-02-01T00:00:00.000Z"]]);
+        fs.rmSync(outputPath, { recursive: true, force: true });
+    });
+});
+describe("Testing robots.txt", () => {
+
+    it("Points to sitemap unless given as text", () => {
+        assert.strictEqual(createRobotsTxt("https://example.com/docs", true), "User-agent: *\nAllow: /\n\nSitemap: https://example.com/docs/sitemap.xml\n");
+        assert.strictEqual(createRobotsTxt("https://example.com", "User-agent: *\nDisallow: /"), "User-agent: *\nDisallow: /");
+    });
+});
@@ -0,0 +1,22 @@
+import assert from "node:assert";
+import { describe, it } from "node:test";
+import { buildTocTree, createSlugger, slugify } from "../toc.js";
+
+
+// Tests
+describe("Testing table of contents", () => {
+
+    it("Slugs are unique & similar to GitHub", () => {
+        const getSlug = createSlugger();
+        assert.strictEqual(slugify(" What's New? Ünïcode & more "), "whats-new-ünïcode--more");
+        assert.deepStrictEqual(["Intro", "Intro", "Intro-1", "!!!"].map(getSlug), ["intro", "intro-1", "intro-1-1", "section"]);
+    });
+
+    it("Headings are nested under previous shallower ones", () => {
+        const headings = [{ depth: 2, id: "a" }, { depth: 4, id: "b" }, { depth: 3, id: "c" }, { depth: 2, id: "d" }];
+        assert.deepStrictEqual(buildTocTree(headings), [
+            { depth: 2, id: "a", children: [{ depth: 4, id: "b", children: [] }, { depth: 3, id: "c", children: [] }] },
+            { depth: 2, id: "d", children: [] }
+        ]);
+    });
+});
@@ -0,0 +1,63 @@
+import os from "node:os";
+import fs from "node:fs";
+import path from "node:path";
+import assert from "node:assert";
+import { describe, it, before, after } from "node:test";
+import { WorkerPool } from "../worker-pool.js";
+
+
+// Tests
+describe("Testing worker pool", () => {
+
+    // Worker doubling numbers, crashing on "crash", exiting on "exit" & replying with an error on anything else
+    let tempDir = "";
+    let workerPath = "";
+    before(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "host-mdx-workers-"));
+        workerPath = path.join(tempDir, "worker.mjs");
+        fs.writeFileSync(workerPath, `
+import { parentPort } from "node:worker_threads";
+parentPort.on("message", ({ id, value }) => {
+    if (value === "crash") {
+        throw new Error("Worker crashed");
+    }
+    if (value === "exit") {
+        process.exit(3);
+    }
+    parentPort.postMessage(typeof value === "number" ? { id, result: value * 2 } : { id, error: { message: "Not a number" } });
+});`);
+    });
+    after(() => {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it("Runs tasks on workers & reports their errors", async () => {
+        const pool = new WorkerPool(workerPath, 2);
+        assert.deepStrictEqual(await Promise.all([1, 2, 3].map(value => pool.run({ value }))), [2, 4, 6]);
+        await assert.rejects(pool.run({ value: "a" }), { message: "Not a number" });
+        await pool.close();
+    });
+
+    it("Rejects task of crashed worker & keeps running others", async () => {
+        const pool = new WorkerPool(workerPath, 1);
+        await assert.rejects(pool.run({ value: "crash" }), { message: "Worker crashed" });
+        assert.strictEqual(await pool.run({ value: 4 }), 8);
+        await pool.close();
+    });
+
+    it("Rejects task of worker exiting without an error & keeps running others", async () => {
+        const pool = new WorkerPool(workerPath, 1);
+        await assert.rejects(pool.run({ value: "exit" }), { message: "Worker exited with code 3" });
+        assert.strictEqual(await pool.run({ value: 4 }), 8);
+        await pool.close();
+    });
+
+    it("Rejects data which cannot be sent without blocking the worker", async () => {
+        const pool = new WorkerPool(workerPath, 1);
+        const results = await Promise.allSettled([pool.run({ value: () => 1 }), pool.run({ value: 5 })]);
+        assert.strictEqual(results[0].status, "rejected");
+        assert.strictEqual(results[0].reason.name, "DataCloneError");
+        assert.deepStrictEqual(results[1], { status: "fulfilled", value: 10 });
+        await pool.close();
+    });
+});
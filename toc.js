@@ -0,0 +1,96 @@
+import path from "path";
+
+
+// Properties
+export const DEFAULT_TOC_OPTIONS = {
+    minDepth: 2,  // Headings outside of depth range get no id, anchor or toc entry
+    maxDepth: 3,
+    anchors: true,  // Adds `<a class="hostmdx-anchor" href="#id">#</a>` inside headings
+    slugify: undefined  // (text) => "slug", Duplicates are suffixed with -1, -2, etc.
+};
+const ANCHOR_CLASS_NAME = "hostmdx-anchor";
+const HEADING_TAG_REGEX = /^h([1-6])$/;
+
+
+// Methods
+function getText(node) {
+    if (node.type === "text") {
+        return node.value;
+    }
+
+    return (node.children ?? []).map(getText).join("");
+}
+function visitElements(node, callback) {
+    if (node.type === "element") {
+        callback(node);
+    }
+    (node.children ?? []).forEach(child => visitElements(child, callback));
+}
+export function getTocOptions(toc) {  // `true` for defaults or object overriding them, Returns null if disabled
+    if (toc !== true && (typeof toc !== "object" || toc === null)) {
+        return null;
+    }
+
+    return { ...DEFAULT_TOC_OPTIONS, ...(toc === true ? {} : toc) };
+}
+export function slugify(text) {  // Similar to GitHub, i.e. lowercase with punctuation removed & spaces as hyphens
+    return String(text).trim().toLowerCase().replace(/[^\p{L}\p{M}\p{N}\s_-]/gu, "").replace(/\s/g, "-");
+}
+export function createSlugger(toSlug = slugify) {  // Returns function giving unique slugs
+    const counts = new Map();
+    return (text) => {
+        const base = String(toSlug(text) ?? "") || "section";
+        let slug = base;
+        while (counts.has(slug)) {
+            slug = `${base}-${counts.get(base)}`;
+            counts.set(base, counts.get(base) + 1);
+        }
+        counts.set(slug, 1);
+        return slug;
+    };
+}
+export function buildTocTree(headings) {  // Nests flat headings under previous shallower ones, Format [{ depth, text, id, children: [...] }, ...]
+    const root = { depth: 0, children: [] };
+    const stack = [root];
+    for (const heading of headings) {
+        while (stack.length > 1 && stack.at(-1).depth >= heading.depth) {
+            stack.pop();
+        }
+
+        const entry = { ...heading, children: [] };
+        stack.at(-1).children.push(entry);
+        stack.push(entry);
+    }
+
+    return root.children;
+}
+export function createTocCollector(options) {
+
+    // Rehype plugin adding ids & anchors to headings, Only headings of the page itself (not imported mdx) are kept for its toc
+    let headings = [];
+    const plugin = () => (tree, file) => {
+        const isEntryPoint = path.basename(file.path ?? "").startsWith("_mdx_bundler_entry_point");
+        const getSlug = createSlugger(options.slugify ?? slugify);
+        const fileHeadings = [];
+        visitElements(tree, (node) => {
+            const depth = Number(HEADING_TAG_REGEX.exec(node.tagName)?.[1]);
+            if (!(depth >= options.minDepth && depth <= options.maxDepth)) {
+                return;
+            }
+
+            const text = getText(node).trim();
+            node.properties = node.properties ?? {};
+            node.properties.id = node.properties.id ?? getSlug(text);
+            if (options.anchors !== false) {
+                node.children.push({ type: "element", tagName: "a", properties: { className: [ANCHOR_CLASS_NAME], href: `#${node.properties.id}`, ariaHidden: "true", tabIndex: -1 }, children: [{ type: "text", value: "#" }] });
+            }
+            fileHeadings.push({ depth, text, id: String(node.properties.id) });
+        });
+        if (isEntryPoint) {
+            headings = fileHeadings;
+        }
+    };
+
+
+    return { plugin, getToc: () => buildTocTree(headings) };
+}
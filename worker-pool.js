@@ -0,0 +1,108 @@
+import { Worker } from "worker_threads";
+
+
+// Classes
+export class WorkerPool {
+
+    // Private Properties
+    #workerPath = "";
+    #size = 1;
+    #workers = [];
+    #idleWorkers = [];
+    #queue = [];  // Format [{ id, data, resolve, reject }, ...]
+    #activeTasks = new Map();  // Format { Worker : { id, data, resolve, reject }, ... }
+    #nextTaskId = 0;
+
+
+    // Constructors
+    constructor(workerPath, size = 1) {
+        this.#workerPath = workerPath;
+        this.#size = Math.max(1, size);
+    }
+
+
+    // Private Methods
+    #createWorker() {
+        const worker = new Worker(this.#workerPath);
+
+
+        // Resolve task once worker responds & pick up next one
+        worker.on("message", ({ id, result, error }) => {
+            const task = this.#activeTasks.get(worker);
+            this.#activeTasks.delete(worker);
+            if (task?.id === id) {
+                error === undefined ? task.resolve(result) : task.reject(Object.assign(new Error(error.message), error));
+            }
+
+            this.#idleWorkers.push(worker);
+            this.#runNext();
+        });
+
+
+        // Reject ongoing task if worker crashes & remove worker from pool
+        worker.on("error", (err) => {
+            this.#removeWorker(worker, err);
+        });
+
+
+        // Same if worker exits without an error (e.g. `process.exit()` or killed), otherwise its task would never settle
+        worker.on("exit", (code) => {
+            this.#removeWorker(worker, new Error(`Worker exited with code ${code}`));
+        });
+
+
+        this.#workers.push(worker);
+        return worker;
+    }
+    #removeWorker(worker, err) {
+        this.#activeTasks.get(worker)?.reject(err);
+        this.#activeTasks.delete(worker);
+        this.#workers = this.#workers.filter(w => w !== worker);
+        this.#idleWorkers = this.#idleWorkers.filter(w => w !== worker);
+        this.#runNext();
+    }
+    #runNext() {
+        while (this.#queue.length !== 0) {
+
+            // Get idle worker, Create new one if pool is not full yet
+            let worker = this.#idleWorkers.pop();
+            if (worker === undefined && this.#workers.length < this.#size) {
+                worker = this.#createWorker();
+            }
+            if (worker === undefined) {
+                return;
+            }
+
+
+            // Assign task, Data which cannot be sent (e.g. functions) rejects the task & keeps worker idle
+            const task = this.#queue.shift();
+            try {
+                this.#activeTasks.set(worker, task);
+                worker.postMessage({ id: task.id, ...task.data });
+            }
+            catch (err) {
+                this.#activeTasks.delete(worker);
+                this.#idleWorkers.push(worker);
+                task.reject(err);
+            }
+        }
+    }
+
+
+    // Public Methods
+    run(data) {
+        return new Promise((resolve, reject) => {
+            this.#queue.push({ id: this.#nextTaskId++, data, resolve, reject });
+            this.#runNext();
+        });
+    }
+    async close() {
+        const workers = this.#workers;
+        this.#workers = [];
+        this.#idleWorkers = [];
+        [...this.#queue, ...this.#activeTasks.values()].forEach(task => task.reject(new Error(`Worker pool closed`)));
+        this.#queue = [];
+        this.#activeTasks.clear();
+        await Promise.all(workers.map(worker => worker.terminate()));
+    }
+}